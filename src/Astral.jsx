@@ -24,7 +24,12 @@
  *   · Free camera orbit when scroll stops (drag to explore)
  *   · Real-time collision: satellites approach on orbits, collide, disintegrate
  *   · Fiery debris spreads in collision orbital shell
+ *   · Collision timeline restaging Iridium 33 × Cosmos 2251 and the FY-1C ASAT test
+ *   · Catalog propagation and conjunction screening in a Web Worker
+ *   · GPU-flown debris field: tracked fragments plus ~100k untracked dust, orbits and decay in the vertex shader
  *   · Post-processing: bloom, chromatic aberration, grain, vignette
+ *   · Frame-time governor stepping through render quality tiers, with a HUD override
+ *   · Full GPU teardown on unmount and scene recovery after WebGL context loss
  */
 
 import { useRef, useEffect, useState, useCallback, memo, useMemo } from "react";
@@ -35,6 +40,18 @@ import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
 import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
 import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { parseTLE } from "./sim/tle.js";
+import { sgp4init, propagateAt, SGP4_ERRORS } from "./sim/sgp4.js";
+import { positionAtE, perifocalBasis, keplerToState, stateToKepler, meanMotion } from "./sim/kepler.js";
+import { breakup, impactEnergy, BREAKUP } from "./sim/breakup.js";
+import { cascadeStep } from "./sim/cascade.js";
+import { dragModel, lifetime, DRAG_TABLE } from "./sim/atmosphere.js";
+import { SimClock } from "./sim/clock.js";
+import { gmst, sunPosition, sunlit, subPoint } from "./sim/ephemeris.js";
+import { walkerDelta, walkerError } from "./sim/walker.js";
+import { crossingOrbits } from "./sim/intercept.js";
+import { decayed, orbitState, fragmentPosition, screenCatalog, groundTracks } from "./sim/catalog.js";
+import { RE_KM, MU_EARTH, DEG, meanMotionToSma } from "./sim/constants.js";
 
 /* ═══════════════════════════════════════════════════════════════════════════
    §1 DESIGN SYSTEM
@@ -43,7 +60,70 @@ import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
 const EARTH_RADIUS = 2.2;
 const CAM_DIST = 8.5;
 const SAT_POOL = 200;
-const DEBRIS_N = 1400;
+const SIM_RATE = 100;          // simulated seconds per unit of scene time; also the default warp
+/* Walker-delta shells that can be added at runtime, modelled on the first
+   shells of the large LEO constellations; F keeps each shell clear of itself */
+const SHELLS = [
+  { name: "STARLINK", t: 1584, p: 72, f: 39, alt: 550, inc: 53 * DEG },
+  { name: "ONEWEB", t: 648, p: 18, f: 1, alt: 1200, inc: 87.9 * DEG },
+  { name: "KUIPER", t: 1156, p: 34, f: 3, alt: 630, inc: 51.9 * DEG },
+];
+/* Historical collisions restaged after the phase 04 impact (`after`, simulated s).
+   Each pair is put on crossing circular orbits at the recorded altitude and
+   impact speed; masses in kg. The FY-1C interceptor flew a ballistic arc and
+   its mass is an estimate, so that pair is approximate. */
+const COLLISION_TIMELINE = [
+  {
+    name: "IRIDIUM 33 × COSMOS 2251", date: "2009-02-10 16:56 UTC", after: 900, alt: 789, vRel: 11.7,
+    a: { name: "IRIDIUM 33", mass: 560, inc: 86.4 * DEG, active: true },
+    b: { name: "COSMOS 2251", mass: 900, inc: 74.0 * DEG },
+  },
+  {
+    name: "FY-1C ASAT TEST", date: "2007-01-11 22:26 UTC", after: 2400, alt: 865, vRel: 8.0,
+    a: { name: "FENGYUN 1C", mass: 880, inc: 98.6 * DEG },
+    b: { name: "SC-19 KKV", mass: 600, inc: 40.0 * DEG },
+  },
+];
+const ACTIVE_IDX = [0, 7, 14, 22, 31, 38, 47, 55, 63, 74, 88, 101, 130, 155];
+const SCREEN = { window: 7200, step: 20, threshold: 50, max: 50, hbr: 0.02 }; // simulated s, km
+const DANGER_LEAD = 400;       // simulated seconds of approach shown across phase 03
+const DV_GAIN = 4;             // breakup delta-v exaggeration so the cloud shears within a few orbits
+const DEBRIS_N = 1400;          // particles drawn per breakup
+const DEBRIS_POOL = 4000;      // particles owned by one collision event and the cascade it seeds
+const COLLISION_MAX = 3;       // events in a timeline; each has its own pool, light and flash
+const DEBRIS_MAX = DEBRIS_POOL * COLLISION_MAX;
+const DUST_LC = 0.005;         // m — smallest untracked fragment a timeline event releases
+const DUST_POOL = 40000;       // untracked fragments per collision event, flown on the GPU only
+const DUST_MAX = DUST_POOL * COLLISION_MAX;
+const DUST_BATCH = 4000;       // untracked fragments released per frame while an event's cloud fills in
+const SAT_AM = 0.01;           // m²/kg — area-to-mass ratio of an intact satellite
+const WORKER_SLACK = 0.25;     // wall s a worker frame may be carried along its orbits before propagating inline
+const STREAK_N = 48;           // re-entry streaks that can burn at once
+const ECLIPSE_DIM = 0.22;      // satellite brightness in Earth's umbra
+const PICK_PX = 10;            // hover / click tolerance around an object, in screen pixels
+const BAND_SHELL = 50;         // km either side of a band's perigee–apogee span counted as its shell
+const CHASE = { back: 0.32, up: 0.1, ahead: 0.5 }; // follow-camera offsets in the object's local frame (scene units)
+const CAM_BLEND = 0.04;        // per-frame easing between camera modes
+const CASCADE = { seed: 1234, step: 0.1, hitRadius: 0.006, ahead: 0.5, batch: 50 }; // scene s, scene units (exaggerated cross-section), wall s the worker records ahead of the clock, steps recorded per frame inline or per worker request
+/* Render quality tiers, best first: pixel-ratio cap, post chain ("full" four
+   passes, "merged" bloom plus one combined pass, "plain" the combined pass
+   alone), debris particles drawn per breakup, share of the untracked dust
+   drawn, stars drawn and Earth sphere segments. Every breakup still draws
+   DEBRIS_N from the model, so the cascade is the same on every tier; lower
+   tiers just leave some of it undrawn. */
+const QUALITY = [
+  { name: "HIGH", dpr: 2, post: "full", debris: DEBRIS_N, dust: 1, stars: 5000, seg: 128 },
+  { name: "MEDIUM", dpr: 1.5, post: "merged", debris: 900, dust: 0.5, stars: 3000, seg: 64 },
+  { name: "LOW", dpr: 1, post: "merged", debris: 500, dust: 0.25, stars: 1500, seg: 48 },
+  { name: "MINIMAL", dpr: 0.75, post: "plain", debris: 250, dust: 0.1, stars: 800, seg: 32 },
+];
+/* Frame-time governor: wall seconds per measurement, ms per frame above which a
+   tier steps down and below which it counts as quick, quick windows before
+   stepping up, and seconds a tier that proved too slow stays off limits */
+const GOVERNOR = { window: 1, slow: 1000 / 45, fast: 1000 / 57, settle: 4, hold: 30 };
+const TRAIL = { slots: 96, points: 64, minutes: 20 }; // objects trailed at once, segments per trail, default length in simulated minutes
+const TRAIL_OPTS = { minutes: TRAIL.minutes, selected: true, pair: true, debris: false, band: -1 }; // what carries a trail by default
+const TRACK = { past: 0.5, future: 1, samples: 72, refresh: 0.25 }; // orbits behind / ahead, points per track, wall s between rebuilds
 const SCROLL_IDLE_MS = 200;
 
 const PHASES = { P0: 0, P1: 0.2, P2: 0.4, P3: 0.6, P4: 0.8 };
@@ -67,8 +147,30 @@ const C = {
   debrisCool: "#ff8833",
 };
 
+/* Catalog categories: object colors while a filter is applied, and the legend */
+const CATEGORIES = [
+  { key: "active", label: "ACTIVE PAYLOAD", color: C.satActive },
+  { key: "payload", label: "INACTIVE PAYLOAD", color: C.satNormal },
+  { key: "rocket", label: "ROCKET BODY", color: "#ffbb33" },
+  { key: "debris", label: "TRACKED DEBRIS", color: C.debrisCool },
+];
+const CATEGORY_COLOR = Object.fromEntries(CATEGORIES.map(c => [c.key, c.color]));
+const FILTER_OUT = 0.35;       // brightness of satDim for objects a filter leaves out
+
 const ACCENT = ["#4a90e2", "#ff8800", "#00ffc8", "#ff3030", "#ff6020"];
-const STATUS_LABEL = ["NOMINAL", "WARNING", "MONITORING", "CRITICAL", "CASCADE"];
+
+/* Status levels, lowest first. A conjunction, the ticker and the header take
+   the highest level whose Pc threshold is reached; CASCADE is never reached
+   by Pc, only by a collision that has happened. */
+const STATUS = [
+  { label: "NOMINAL", pc: 0, color: "#4a90e2" },
+  { label: "MONITORING", pc: 1e-7, color: "#00ffc8" },
+  { label: "WARNING", pc: 1e-5, color: "#ff8800" },
+  { label: "CRITICAL", pc: 1e-4, color: "#ff3030" },
+  { label: "CASCADE", pc: Infinity, color: "#ff6020" },
+];
+const WARNING = 2, CASCADE_LEVEL = 4;
+const alertLevel = pc => Math.max(0, STATUS.findLastIndex(l => pc >= l.pc));
 
 const F = {
   display: "'Instrument Serif', Georgia, serif",
@@ -76,31 +178,42 @@ const F = {
   sans: "'Inter', -apple-system, sans-serif",
 };
 
-/* Orbit definitions — colored, visible, beautiful */
+/* Orbit definitions — colored, visible, beautiful.
+   Classical elements: a in Earth radii, angles in radians. */
 const ORBIT_DEFS = [
-  { r: 1.22, inc: 0.20, asc: 0.0,  color: "#2266ff", width: 1.2 },
-  { r: 1.30, inc: -0.35, asc: 0.8,  color: "#3388ee", width: 1.0 },
-  { r: 1.36, inc: 0.50, asc: 1.6,  color: "#4499dd", width: 1.1 },
-  { r: 1.42, inc: -0.15, asc: 2.4,  color: "#55aacc", width: 0.9 },
-  { r: 1.48, inc: 0.65, asc: 3.2,  color: "#44bbdd", width: 1.0 },
-  { r: 1.54, inc: -0.45, asc: 4.0,  color: "#33ccee", width: 0.8 },
-  { r: 1.60, inc: 0.30, asc: 4.8,  color: "#22ddff", width: 1.1 },
-  { r: 1.66, inc: -0.55, asc: 5.5,  color: "#55ccff", width: 0.9 },
-  { r: 1.72, inc: 0.40, asc: 0.5,  color: "#6699ff", width: 1.0 },
-  { r: 1.78, inc: -0.25, asc: 1.2,  color: "#7788ee", width: 0.8 },
-  { r: 1.84, inc: 0.55, asc: 2.0,  color: "#8877dd", width: 0.9 },
-  { r: 1.90, inc: -0.40, asc: 2.8,  color: "#9966cc", width: 0.7 },
+  { a: 1.22, e: 0, inc: 0.20, raan: 0.00, argp: 0, color: "#2266ff", width: 1.2 },
+  { a: 1.30, e: 0, inc: 0.35, raan: 2.34, argp: 0, color: "#3388ee", width: 1.0 },
+  { a: 1.36, e: 0, inc: 0.50, raan: 4.68, argp: 0, color: "#4499dd", width: 1.1 },
+  { a: 1.42, e: 0, inc: 0.15, raan: 0.74, argp: 0, color: "#55aacc", width: 0.9 },
+  { a: 1.48, e: 0, inc: 0.65, raan: 3.08, argp: 0, color: "#44bbdd", width: 1.0 },
+  { a: 1.54, e: 0, inc: 0.45, raan: 5.42, argp: 0, color: "#33ccee", width: 0.8 },
+  { a: 1.60, e: 0, inc: 0.30, raan: 1.48, argp: 0, color: "#22ddff", width: 1.1 },
+  { a: 1.66, e: 0, inc: 0.55, raan: 3.92, argp: 0, color: "#55ccff", width: 0.9 },
+  { a: 1.72, e: 0, inc: 0.40, raan: 5.78, argp: 0, color: "#6699ff", width: 1.0 },
+  { a: 1.78, e: 0, inc: 0.25, raan: 1.94, argp: 0, color: "#7788ee", width: 0.8 },
+  { a: 1.84, e: 0, inc: 0.55, raan: 4.28, argp: 0, color: "#8877dd", width: 0.9 },
+  { a: 1.90, e: 0, inc: 0.40, raan: 0.34, argp: 0, color: "#9966cc", width: 0.7 },
+  // Eccentric cases: perigee over the southern hemisphere for Molniya / Tundra
+  { name: "Molniya", a: 4.163, e: 0.741, inc: 1.107, raan: 1.00, argp: 4.712, color: "#ff66aa", width: 0.8 },
+  { name: "GTO", a: 3.825, e: 0.728, inc: 0.471, raan: 2.60, argp: 3.107, color: "#ffaa44", width: 0.8 },
+  { name: "HEO (Tundra)", a: 6.611, e: 0.268, inc: 1.107, raan: 4.20, argp: 4.712, color: "#cc77ff", width: 0.7 },
+  // Low shells inside the thermosphere, where drag pulls objects down
+  { name: "ISS", a: 1.066, e: 0.0005, inc: 0.9013, raan: 2.10, argp: 0, color: "#88ddaa", width: 0.9 },
+  { name: "Starlink", a: 1.086, e: 0, inc: 0.925, raan: 5.10, argp: 0, color: "#66bbaa", width: 0.8 },
 ];
 
-/* Atmosphere layers */
+/* Atmosphere layers; `top` is the layer's upper altitude in km */
 const ATMO = [
-  { name: "Troposphere",  r: 1.008, color: "#4488cc", op: 0.05, rim: 2.0 },
-  { name: "Stratosphere", r: 1.022, color: "#5599dd", op: 0.045, rim: 2.4 },
-  { name: "Mesosphere",   r: 1.038, color: "#6688cc", op: 0.038, rim: 2.8 },
-  { name: "Thermosphere", r: 1.058, color: "#4477bb", op: 0.030, rim: 3.4 },
-  { name: "Exosphere",    r: 1.085, color: "#3366aa", op: 0.022, rim: 4.2 },
+  { name: "Troposphere",  r: 1.008, top: 12, color: "#4488cc", op: 0.05, rim: 2.0 },
+  { name: "Stratosphere", r: 1.022, top: 50, color: "#5599dd", op: 0.045, rim: 2.4 },
+  { name: "Mesosphere",   r: 1.038, top: 85, color: "#6688cc", op: 0.038, rim: 2.8 },
+  { name: "Thermosphere", r: 1.058, top: 600, color: "#4477bb", op: 0.030, rim: 3.4 },
+  { name: "Exosphere",    r: 1.085, top: 10000, color: "#3366aa", op: 0.022, rim: 4.2 },
 ];
 
+/* Orbits with perigee below the top of the thermosphere feel drag */
+const DRAG_CEILING = ATMO.find(l => l.name === "Thermosphere").top;
+
 const CHAPTERS = [
   { tag: "PHASE 00", title: "Normal\nOrbit", body: "4 satellites trace clean paths above Earth. The orbital shell is peaceful, organized — a marvel of human engineering stretching across low Earth orbit.", accent: "#4a90e2" },
   { tag: "PHASE 01", title: "Orbital\nCongestion", body: "Over 9,000 active satellites now share orbital space. The shell grows dense — a crowded highway with no traffic control, no lanes, no margin for error.", accent: "#ff8800" },
@@ -109,9 +222,12 @@ const CHAPTERS = [
   { tag: "PHASE 04", title: "Kessler\nSyndrome", body: "Two satellites collide and disintegrate. Fiery debris spreads across the orbital shell. One collision becomes a thousand. This is physics.", accent: "#ff6020" },
 ];
 
+/* Ticker rows: `live` rows read the engine's screening summary, `vals` are per chapter */
 const METRICS = [
-  { label: "TRACKED OBJECTS", vals: ["8,900", "9,400+", "9,400+", "9,403", "9,403+"] },
-  { label: "COLLISION ALERTS", vals: ["0", "0", "12", "1 CRITICAL", "CASCADE"] },
+  { label: "TRACKED OBJECTS", live: m => m.tracked.toLocaleString() },
+  // every conjunction at WARNING or above; the row takes the worst one's colour
+  { label: "COLLISION ALERTS", live: m => String(m.counts.slice(WARNING).reduce((n, k) => n + k, 0)), alert: true },
+  { label: "MAX PC", live: m => fmtPc(m.maxPc), alert: true },
   { label: "ORBITAL BANDS", vals: ["CLEAR", "DENSE", "DENSE", "COMPROMISED", "UNUSABLE"] },
 ];
 
@@ -142,18 +258,14 @@ const randOnSphere = (r, rng = Math.random) => {
 };
 const prng = (seed = 42) => { let s = seed; return () => { s = (s * 1664525 + 1013904223) & 0xffffffff; return (s >>> 0) / 0xffffffff; }; };
 
-/* Orbital position calculator */
-const orbitPos = (radius, inc, asc, angle) => {
-  const x0 = Math.cos(angle) * radius;
-  const z0 = Math.sin(angle) * radius;
-  const y1 = -z0 * Math.sin(inc);
-  const z1 = z0 * Math.cos(inc);
-  return new THREE.Vector3(
-    x0 * Math.cos(asc) - z1 * Math.sin(asc),
-    y1,
-    x0 * Math.sin(asc) + z1 * Math.cos(asc)
-  );
-};
+const fmtPc = pc => pc <= 0 ? "0" : pc >= 1e-3 ? pc.toFixed(4) : pc.toExponential(1).toUpperCase();
+
+/* Inertial z-up frame → scene y-up frame (a rotation, so Earth spins about +y) */
+const eciToScene = (a, k = 1, out = new THREE.Vector3()) => out.set(a[0] * k, a[2] * k, -a[1] * k);
+const sceneToEci = (v, k = 1) => [v.x * k, -v.z * k, v.y * k];
+
+/* Scene-unit elements for an ORBIT_DEFS entry */
+const orbitEl = o => ({ a: EARTH_RADIUS * o.a, e: o.e, inc: o.inc, raan: o.raan, argp: o.argp });
 
 /* ═══════════════════════════════════════════════════════════════════════════
    §3 LOCOMOTIVE-STYLE SMOOTH SCROLL ENGINE
@@ -247,7 +359,7 @@ function useMouseSystem() {
    §5 CUSTOM CURSOR (igloo.inc grade)
    ═══════════════════════════════════════════════════════════════════════════ */
 
-const Cursor = memo(function Cursor({ chapter, scrolling }) {
+const Cursor = memo(function Cursor({ chapter, scrolling, hoverRef }) {
   const dotRef = useRef(null);
   const ringRef = useRef(null);
   const labelRef = useRef(null);
@@ -277,7 +389,9 @@ const Cursor = memo(function Cursor({ chapter, scrolling }) {
       ringPos.current.x += (pos.current.x - ringPos.current.x) * 0.08;
       ringPos.current.y += (pos.current.y - ringPos.current.y) * 0.08;
       // Spring scale
-      const target = hovering.current ? 3.2 : scrolling ? 0.5 : 1;
+      // DOM labels win; otherwise the name of the object picked in the scene
+      const text = label.current || hoverRef.current;
+      const target = hovering.current ? 3.2 : text ? 1.8 : scrolling ? 0.5 : 1;
       const s = spring(scale.current.v, target, scale.current.vel, 0.06, 0.72);
       scale.current = { v: s.value, vel: s.velocity };
 
@@ -287,15 +401,15 @@ const Cursor = memo(function Cursor({ chapter, scrolling }) {
         ringRef.current.style.borderColor = ACCENT[chapter];
       }
       if (labelRef.current) {
-        labelRef.current.textContent = label.current;
-        labelRef.current.style.opacity = label.current ? "1" : "0";
+        labelRef.current.textContent = text;
+        labelRef.current.style.opacity = text ? "1" : "0";
         labelRef.current.style.transform = `translate(${ringPos.current.x + 28}px,${ringPos.current.y - 8}px)`;
       }
       raf = requestAnimationFrame(tick);
     };
     raf = requestAnimationFrame(tick);
     return () => { cancelAnimationFrame(raf); window.removeEventListener("mousemove", mm); document.removeEventListener("mouseover", mo); };
-  }, [chapter, scrolling]);
+  }, [chapter, scrolling, hoverRef]);
 
   return (
     <>
@@ -353,15 +467,16 @@ function AnimatedNumber({ value, duration = 1200, visible = true }) {
   
   useEffect(() => {
     if (!visible) { setDisplay("0"); return; }
-    const numericVal = parseInt(value.replace(/[^0-9]/g, ""), 10);
-    if (isNaN(numericVal)) { setDisplay(value); return; }
+    const parts = /^([\d,]+)(\D*)$/.exec(value);
+    if (!parts) { setDisplay(value); return; }
+    const numericVal = parseInt(parts[1].replace(/,/g, ""), 10);
     
     const start = performance.now();
     const tick = (now) => {
       const t = clamp((now - start) / duration);
       const eased = outExpo(t);
       const current = Math.round(numericVal * eased);
-      setDisplay(current.toLocaleString() + value.replace(/[0-9,]/g, ""));
+      setDisplay(current.toLocaleString() + parts[2]);
       if (t < 1) ref.current = requestAnimationFrame(tick);
     };
     ref.current = requestAnimationFrame(tick);
@@ -410,6 +525,13 @@ const ChromaFS = {
   fragmentShader: `uniform sampler2D tDiffuse;uniform float uO;varying vec2 v;void main(){vec2 d=v-.5;float l=length(d);float o=uO*l;gl_FragColor=vec4(texture2D(tDiffuse,v+d*o).r,texture2D(tDiffuse,v).g,texture2D(tDiffuse,v-d*o).b,1.);}`,
 };
 
+/* Chroma, vignette and grain in a single pass, for the lower quality tiers */
+const FinishFS = {
+  uniforms: { tDiffuse: { value: null }, uO: { value: 0.0005 }, uV: { value: 0.42 }, uT: { value: 0 }, uI: { value: 0.04 } },
+  vertexShader: `varying vec2 v;void main(){v=uv;gl_Position=projectionMatrix*modelViewMatrix*vec4(position,1.);}`,
+  fragmentShader: `uniform sampler2D tDiffuse;uniform float uO,uV,uT,uI;varying vec2 v;float h(vec2 p){vec3 p3=fract(vec3(p.xyx)*.1031);p3+=dot(p3,p3.yzx+33.33);return fract((p3.x+p3.y)*p3.z);}void main(){vec2 d=v-.5;float o=uO*length(d);vec4 c=vec4(texture2D(tDiffuse,v+d*o).r,texture2D(tDiffuse,v).g,texture2D(tDiffuse,v-d*o).b,1.);vec2 u=v*(1.-v.yx);c.rgb*=pow(u.x*u.y*15.,uV*0.45);c.rgb+=(h(v*1e3+uT*137.)*2.-1.)*uI;gl_FragColor=c;}`,
+};
+
 /* ═══════════════════════════════════════════════════════════════════════════
    §8 THREE.JS SCENE ENGINE
    ═══════════════════════════════════════════════════════════════════════════ */
@@ -430,6 +552,12 @@ function buildStars() {
   return g;
 }
 
+/* Draw size and mass together so bigger-looking satellites are heavier (kg) */
+const satSize = rng => {
+  const k = rng();
+  return { size: 0.018 + k * 0.012, mass: lerp(150, 1500, k) };
+};
+
 function generateSats(orbits, rng) {
   const sats = [];
   let id = 0;
@@ -437,28 +565,293 @@ function generateSats(orbits, rng) {
     const n = oi < 4 ? 1 : Math.ceil(SAT_POOL / orbits.length);
     for (let j = 0; j < n && id < SAT_POOL; j++) {
       sats.push({
-        id: id++, oi,
-        r: EARTH_RADIUS * o.r, inc: o.inc, asc: o.asc,
+        id: id++, oi, ...orbitEl(o),
         phase: (j / n) * Math.PI * 2 + rng() * 0.4,
-        speed: 0.08 + rng() * 0.08,
-        size: 0.018 + rng() * 0.012,
+        speed: orbitRate(EARTH_RADIUS * o.a),
+        ...satSize(rng),
       });
     }
   });
   while (sats.length < SAT_POOL) {
     const oi = Math.floor(rng() * orbits.length);
     const o = orbits[oi];
-    sats.push({ id: sats.length, oi, r: EARTH_RADIUS * o.r, inc: o.inc, asc: o.asc, phase: rng() * Math.PI * 2, speed: 0.08 + rng() * 0.08, size: 0.018 + rng() * 0.012 });
+    sats.push({ id: sats.length, oi, ...orbitEl(o), phase: rng() * Math.PI * 2, speed: orbitRate(EARTH_RADIUS * o.a), ...satSize(rng) });
   }
+  sats.forEach(s => { s.drag = orbitDrag(s, SAT_AM, s.speed); });
+  // object types drawn last so the layout above does not depend on them; the scripted active set stays payloads
+  sats.forEach(s => { const k = rng(); s.type = ACTIVE_IDX.includes(s.id) || k < 0.72 ? "payload" : k < 0.9 ? "rocket" : "debris"; });
   return sats.slice(0, SAT_POOL);
 }
 
-const satPos = (s, t) => orbitPos(s.r, s.inc, s.asc, s.phase + s.speed * t);
+/* Index of the orbit definition whose semi-major axis is closest to a (scene units) */
+const nearestBand = (orbits, a) => {
+  let oi = 0;
+  orbits.forEach((o, i) => { if (Math.abs(EARTH_RADIUS * o.a - a) < Math.abs(EARTH_RADIUS * orbits[oi].a - a)) oi = i; });
+  return oi;
+};
+
+/* Build satData from parsed TLE entries. Each entry carries an SGP4 record,
+   is checked at the common reference epoch and propagated from the sim
+   clock's epoch; entries SGP4 rejects are reported against their line 1. */
+function catalogSats(entries, refEpoch, simEpoch, orbits, rng, errors) {
+  const sats = [];
+  entries.forEach(e => {
+    const satrec = sgp4init(e);
+    const st = satrec.error ? null : propagateAt(satrec, refEpoch);
+    if (!st) { errors.push({ line: e.line, message: `NORAD ${e.norad}: ${SGP4_ERRORS[satrec.error] || "propagation failed"}` }); return; }
+    const a = EARTH_RADIUS * (meanMotionToSma(e.no) / RE_KM);
+    sats.push({
+      id: sats.length, oi: nearestBand(orbits, a),
+      norad: e.norad, name: e.name, type: objectType(e.name), epoch: e.epoch, tle: e,
+      satrec, simEpoch,
+      a, e: e.ecc, inc: e.inc, raan: e.raan, argp: e.argp,
+      phase: e.mo,
+      ...satSize(rng),
+    });
+  });
+  return sats;
+}
+
+const KM_TO_SCENE = EARTH_RADIUS / RE_KM;
+
+/* Mean motion (rad per scene second) of an orbit with semi-major axis a
+   (scene units), from Kepler's third law; SIM_RATE is the time scale that
+   maps simulated seconds onto scene seconds */
+const orbitRate = a => meanMotion(a / KM_TO_SCENE, MU_EARTH) * SIM_RATE;
+
+/* Orbital period in simulated seconds */
+const orbitPeriod = a => (2 * Math.PI * SIM_RATE) / orbitRate(a);
+const HIDDEN = new THREE.Vector3(9999, 9999, 9999);
+
+/* Drag record for a scene-unit orbit with mean motion n (rad per scene
+   second), or null when its perigee clears DRAG_CEILING. `mScale` maps the
+   physical phase drift onto the orbit's own mean motion. */
+const orbitDrag = (el, am, n) => {
+  const d = dragModel({ a: el.a / KM_TO_SCENE, e: el.e, am }, DRAG_CEILING);
+  if (d) d.mScale = n / (meanMotion(d.a0, MU_EARTH) * SIM_RATE);
+  return d;
+};
+
+/* Turn the vector at a[o..o+2] about unit axis k by the angle with cosine c and sine s (Rodrigues) */
+const turn = (a, o, kx, ky, kz, c, s) => {
+  const x = a[o], y = a[o + 1], z = a[o + 2], kp = (kx * x + ky * y + kz * z) * (1 - c);
+  a[o] = x * c + (ky * z - kz * y) * s + kx * kp;
+  a[o + 1] = y * c + (kz * x - kx * z) * s + ky * kp;
+  a[o + 2] = z * c + (kx * y - ky * x) * s + kz * kp;
+};
+
+/* Scene units for sim/catalog.js: lengths per km, simulated seconds per scene second */
+const SCENE_UNITS = { scale: KM_TO_SCENE, rate: SIM_RATE };
+
+/* Position (scene units) and velocity (scene units per simulated second).
+   Catalog objects run SGP4 at simEpoch + t · SIM_RATE; the procedural set
+   flies two-body Kepler orbits with mean motion `speed` (rad per scene
+   second), decaying under drag. Decayed objects park off-screen. */
+const satState = (s, t) => {
+  const st = orbitState(s, t, SCENE_UNITS);
+  return st ? { pos: eciToScene(st.r), vel: eciToScene(st.v) } : { pos: HIDDEN.clone(), vel: new THREE.Vector3() };
+};
+
+const satPos = (s, t) => satState(s, t).pos;
+
+/* Closing speed (km/s) of two satellites at scene time t */
+const impactSpeed = (a, b, t) => satState(a, t).vel.distanceTo(satState(b, t).vel) / KM_TO_SCENE;
+
+/* Gravitational parameter in scene units per scene second: real Earth for
+   catalog objects, the one implied by a procedural orbit's own mean motion
+   (the same, for orbits set up with orbitRate) */
+const muOf = s => s.satrec ? MU_EARTH * KM_TO_SCENE ** 3 * SIM_RATE ** 2 : s.speed * s.speed * s.a ** 3;
+
+/* Osculating orbit of a fragment released at pos with velocity vel (scene
+   units, per scene second) and decaying with area-to-mass ratio am; null if
+   it escapes */
+const fragmentOrbit = (pos, vel, mu, am) => {
+  const el = stateToKepler(sceneToEci(pos), sceneToEci(vel), mu);
+  if (!el) return null;
+  const n = meanMotion(el.a, mu);
+  return { ...el, n, mu, basis: perifocalBasis(el), drag: orbitDrag(el, am, n) };
+};
+/* Fragment position dt scene seconds after release; null once it has burnt up */
+const fragmentPos = (o, dt, out) => {
+  const r = fragmentPosition(o, dt, SCENE_UNITS);
+  return r && eciToScene(r, 1, out);
+};
+
+/* Scene seconds after release at which a fragment burns up; Infinity above the drag model's reach */
+const reentryAt = o => o.drag ? o.drag.tReentry / SIM_RATE : Infinity;
+
+/* Orbit field: a point cloud whose members fly their own decaying orbits on
+   the GPU. A slot is written once when its fragment is released (orbit, drag
+   record, time window, look) and the vertex shader places, sizes and cools
+   it from the time uniforms alone, so frame cost does not grow with the
+   count. Decay reads the atmosphere's F and G tables from a texture; both
+   run to ~1e10 at high altitude, far past float32, so the table and each
+   slot's starting values are carried as hi + lo float pairs and only their
+   differences are taken on the GPU. */
+const FIELD_FAR = 1e30; // "never" in a float attribute
+const hiLo = x => { const hi = Math.fround(x); return [hi, x - hi]; };
+
+/* F and G as hi/lo pairs, one texel per km of the drag table */
+const dragTexture = () => {
+  const { F, G } = DRAG_TABLE, data = new Float32Array(F.length * 4);
+  F.forEach((f, i) => data.set([...hiLo(f), ...hiLo(G[i])], i * 4));
+  const tex = new THREE.DataTexture(data, F.length, 1, THREE.RGBAFormat, THREE.FloatType);
+  tex.needsUpdate = true;
+  return tex;
+};
+
+const FIELD_ATTRS = [["aP", 3], ["aQ", 3], ["aOrb", 4], ["aF", 4], ["aDecay", 2], ["aSpan", 4], ["aCol", 3]];
+
+function orbitField(n, dragTex, scale) {
+  const g = new THREE.BufferGeometry();
+  FIELD_ATTRS.forEach(([k, w]) => {
+    const a = new Float32Array(n * w);
+    if (k === "aSpan") a.fill(FIELD_FAR); // nothing released yet
+    g.setAttribute(k, new THREE.BufferAttribute(a, w).setUsage(THREE.DynamicDrawUsage));
+  });
+  g.setDrawRange(0, n);
+  g.boundingSphere = new THREE.Sphere(new THREE.Vector3(), Infinity); // no position attribute to measure
+  const m = new THREE.ShaderMaterial({
+    uniforms: {
+      tDrag: { value: dragTex }, uTau: { value: 0 }, uT: { value: 0 }, uShare: { value: 1 }, uScale: { value: scale },
+      uBase: { value: DRAG_TABLE.base }, uRe: { value: RE_KM }, uKm: { value: KM_TO_SCENE }, uRate: { value: SIM_RATE },
+    },
+    // aOrb: a (scene), e, M0, n (rad per scene s); aF: F0 and G0 as hi/lo pairs; aDecay: B, (1-e)^1.5 · mScale / B
+    // (B = 0 for no drag); aSpan: release, end of flight, size, quality share key
+    vertexShader: `uniform sampler2D tDrag;uniform float uTau,uT,uShare,uScale,uBase,uRe,uKm,uRate;
+attribute vec3 aP,aQ,aCol;attribute vec4 aOrb,aF,aSpan;attribute vec2 aDecay;varying vec3 vC;
+vec4 row(int i){return texelFetch(tDrag,ivec2(i,0),0);}
+float dF(vec4 r){return(aF.x-r.x)+(aF.y-r.y);}
+float dG(vec4 r){return(aF.z-r.z)+(aF.w-r.w);}
+void main(){
+  float dt=uTau-aSpan.x;
+  if(dt<0.||uTau>=aSpan.y||aSpan.w>=uShare){gl_Position=vec4(2.,2.,2.,1.);gl_PointSize=0.;return;}
+  float a=aOrb.x,e=aOrb.y,M=aOrb.z+aOrb.w*dt;
+  if(aDecay.x>0.){
+    float s=aDecay.x*dt*uRate;
+    int lo=0,hi=textureSize(tDrag,0).x-1;
+    while(hi-lo>1){int m=(lo+hi)/2;if(dF(row(m))<s)hi=m;else lo=m;}
+    vec4 L=row(lo),H=row(hi);
+    float f=clamp((dF(L)-s)/(dF(L)-dF(H)),0.,1.);
+    a=(uRe+uBase+float(lo)+f)/(1.-e)*uKm;
+    M=aOrb.z+aDecay.y*mix(dG(L),dG(H),f);
+  }
+  float m=M-6.2831853*floor((M+3.1415927)/6.2831853),E=e<.8?m:3.1415927*sign(m);
+  for(int k=0;k<12;k++)E-=(E-e*sin(E)-m)/(1.-e*cos(E));
+  vec4 mv=modelViewMatrix*vec4(aP*(a*(cos(E)-e))+aQ*(a*sqrt(1.-e*e)*sin(E)),1.);
+  float cool=clamp(1.-dt*.018,.2,1.),hot=clamp(1.-dt*.03,.1,1.);
+  gl_PointSize=(4.+aSpan.z*5.5)*cool*(.8+.2*sin(uT*5.+float(gl_VertexID)*1.1))*uScale*(500./-mv.z);
+  vC=aCol*vec3(.45+.55*hot,hot*.5,hot*.15);
+  gl_Position=projectionMatrix*mv;
+}`,
+    fragmentShader: `varying vec3 vC;void main(){float d=length(gl_PointCoord-.5);if(d>.5)discard;float core=smoothstep(.5,0.,d);vec3 fc=vC+vec3(.35,.06,0.)*core;gl_FragColor=vec4(fc,core+smoothstep(.5,.1,d)*.4);}`,
+    transparent: true, depthWrite: false, blending: THREE.AdditiveBlending,
+  });
+  const points = new THREE.Points(g, m);
+  points.frustumCulled = false; // positions only exist on the GPU
+  return { geo: g, mat: m, points, lo: Infinity, hi: 0 };
+}
+
+const fieldTouch = (f, i) => { f.lo = Math.min(f.lo, i); f.hi = Math.max(f.hi, i + 1); };
+
+/* Slot i flies orbit o (a fragmentOrbit record) from t0 until tEnd */
+function fieldWrite(f, i, o, t0, tEnd, size, col, keep) {
+  const at = f.geo.attributes, { P, Q } = o.basis, d = o.drag;
+  at.aP.setXYZ(i, P[0], P[2], -P[1]); at.aQ.setXYZ(i, Q[0], Q[2], -Q[1]); // ECI to scene axes
+  at.aOrb.setXYZW(i, o.a, o.e, o.M, o.n);
+  if (d) {
+    at.aF.setXYZW(i, ...hiLo(d.F0), ...hiLo(d.G0));
+    at.aDecay.setXY(i, d.B, ((1 - d.e) ** 1.5 * d.mScale) / d.B);
+  } else at.aDecay.setXY(i, 0, 0);
+  at.aSpan.setXYZW(i, t0, Math.min(tEnd, FIELD_FAR), size, keep);
+  at.aCol.setXYZ(i, col.r, col.g, col.b);
+  fieldTouch(f, i);
+}
+
+/* Cut slot i's flight short at tEnd */
+const fieldEnd = (f, i, tEnd) => { f.geo.attributes.aSpan.setY(i, Math.min(tEnd, FIELD_FAR)); fieldTouch(f, i); };
+
+/* Empty every slot */
+const fieldClear = f => {
+  const a = f.geo.attributes.aSpan;
+  for (let i = 0; i < a.count; i++) a.setX(i, FIELD_FAR);
+  f.lo = 0; f.hi = a.count;
+};
+
+/* Upload the slots written since the last flush */
+const fieldFlush = f => {
+  if (f.hi <= f.lo) return;
+  Object.values(f.geo.attributes).forEach(a => { a.addUpdateRange(f.lo * a.itemSize, (f.hi - f.lo) * a.itemSize); a.needsUpdate = true; });
+  f.lo = Infinity; f.hi = 0;
+};
+
+/* Everything under `root` that holds GPU memory, each once: geometries,
+   materials, textures in material slots and shader uniforms, and instanced
+   meshes for their instance buffers */
+const gpuResources = root => {
+  const out = new Set(), tex = v => v?.isTexture && out.add(v);
+  root.traverse(o => {
+    if (o.isInstancedMesh) out.add(o);
+    if (o.geometry) out.add(o.geometry);
+    [o.material].flat().filter(Boolean).forEach(m => {
+      out.add(m);
+      Object.values(m).forEach(tex);
+      Object.values(m.uniforms || {}).forEach(u => tex(u.value));
+    });
+  });
+  return out;
+};
+
+/* Orbit-plane normal in the scene frame, for the direction of travel at re-entry */
+const orbitNormal = ({ inc, raan }) => eciToScene([Math.sin(inc) * Math.sin(raan), -Math.sin(inc) * Math.cos(raan), Math.cos(inc)]);
+
+const satLabel = s => s.name || `OBJ-${String(s.id).padStart(4, "0")}`;
+
+const bandName = oi => ORBIT_DEFS[oi].name || `SHELL ${String(oi + 1).padStart(2, "0")}`;
+
+/* Object type from a catalog name, by SATCAT convention: "R/B" rocket bodies, "DEB" fragments */
+const objectType = (name = "") => /\bR\/B\b/.test(name) ? "rocket" : /\bDEB\b/.test(name) ? "debris" : "payload";
+
+/* Catalog filter: text matches name or catalog number; bands are ORBIT_DEFS
+   indices; altitude (km) keeps orbits whose perigee–apogee span overlaps the
+   range; inclination in degrees; empty fields do not filter */
+const FILTER_NONE = { q: "", bands: [], alt: ["", ""], inc: ["", ""], types: [], status: "all" };
+const lim = v => v === "" || v == null || !Number.isFinite(+v) ? null : +v;
+const filterOn = f => !!f && (!!f.q.trim() || f.bands.length > 0 || f.types.length > 0 || f.status !== "all" || [...f.alt, ...f.inc].some(v => lim(v) !== null));
+const filterMatch = (s, cat, f) => {
+  const q = f.q.trim().toLowerCase();
+  if (q && !satLabel(s).toLowerCase().includes(q) && !String(s.norad ?? s.id).includes(q)) return false;
+  if (f.bands.length && !f.bands.includes(s.oi)) return false;
+  if (f.types.length && !f.types.includes(s.type)) return false;
+  if (f.status !== "all" && (cat === "active") !== (f.status === "active")) return false;
+  const km = s.a / KM_TO_SCENE, hp = km * (1 - s.e) - RE_KM, ha = km * (1 + s.e) - RE_KM, inc = (s.inc * 180) / Math.PI;
+  const [a0, a1, i0, i1] = [...f.alt, ...f.inc].map(lim);
+  return !(a0 !== null && ha < a0 || a1 !== null && hp > a1 || i0 !== null && inc < i0 || i1 !== null && inc > i1);
+};
+
+/* Closed orbit outline, sampled evenly in eccentric anomaly so ellipses stay smooth at perigee */
+const orbitPath = (el, n = 512) => {
+  const basis = perifocalBasis(el), pts = [];
+  for (let i = 0; i <= n; i++) pts.push(eciToScene(positionAtE(el, (i / n) * Math.PI * 2, basis)));
+  return pts;
+};
 
 class AstralEngine {
-  constructor(canvas) {
+  constructor(canvas, opts = {}) {
     this.canvas = canvas;
-    this.clock = new THREE.Clock();
+    this.onCatalog = opts.onCatalog;
+    this.onScreening = opts.onScreening;
+    this.onCascade = opts.onCascade;
+    this.onHover = opts.onHover;
+    this.onSelect = opts.onSelect;
+    this.onFilter = opts.onFilter;
+    this.onBand = opts.onBand;
+    this.onQuality = opts.onQuality;
+    this.seed = opts.seed ?? CASCADE.seed;
+    this.screenOpts = opts.screening;
+    this.clock = new THREE.Clock();  // wall time, drives effects only
+    this.simClock = new SimClock(opts.epoch ?? Date.now(), SIM_RATE);
+    this._wall = 0;
     this.progress = 0;
     this.mx = 0; this.my = 0;
     this.isScrolling = true;
@@ -472,6 +865,7 @@ class AstralEngine {
     this._tc = new THREE.Color();
     this._tv = new THREE.Vector3();
     this._tv2 = new THREE.Vector3();
+    this._tp = new THREE.Vector3();
 
     // Camera orbit
     this.camSph = new THREE.Spherical(CAM_DIST, Math.PI / 2 - 0.08, 0);
@@ -486,11 +880,19 @@ class AstralEngine {
       { th: 0, ph: Math.PI / 2, d: CAM_DIST + 0.5 },
     ];
     this.camLocked = L;
+    // follow / pair modes blend over the scroll presets with per-mode weights
+    this.camMode = "orbit";
+    this.camW = { follow: 0, pair: 0 };
+    this.camPose = { follow: null, pair: null };
+    this._camLook = new THREE.Vector3();
 
+    // the phase 04 impact starts the cascade clock; `collisions` is its event timeline
     this.collisionDone = false;
     this.collisionTime = 0;
-    this.collisionPt = new THREE.Vector3();
-    this.collisionR = 0;
+    this.collisions = [];
+
+    // GPU resources that live outside the scene graph, disposed with it at teardown
+    this.owned = new Set();
 
     this._initRenderer();
     this._initScene();
@@ -502,9 +904,18 @@ class AstralEngine {
     this._initEarth();
     this._initAtmo();
     this._initOrbits();
+    this._initWorker();
     this._initSats();
     this._initDebris();
+    this._initStreaks();
+    this._initTrails();
     this._initFlash();
+    this._initMap();
+    this._initPick();
+    this.quality = { tier: 0, auto: true };
+    this._perf = { frames: 0, since: 0, fps: 0, quick: 0, failed: [] };
+    this._debrisShare = 1;
+    this.screen();
 
     this._raf = requestAnimationFrame(this._loop.bind(this));
   }
@@ -522,6 +933,14 @@ class AstralEngine {
       r.setSize(w, h); this.camera.aspect = w / h; this.camera.updateProjectionMatrix(); this.composer?.setSize(w, h);
     });
     this._ro.observe(document.body);
+
+    // mobile GPUs drop the context under memory pressure; the loop stops
+    // until it is back, so simulated time does not run on behind a black canvas
+    this._lost = false;
+    this._onLost = e => { e.preventDefault(); this._lost = true; cancelAnimationFrame(this._raf); };
+    this._onRestored = () => { this._lost = false; this._restore(); };
+    this.canvas.addEventListener("webglcontextlost", this._onLost);
+    this.canvas.addEventListener("webglcontextrestored", this._onRestored);
   }
 
   _initScene() {
@@ -549,15 +968,23 @@ class AstralEngine {
     this.composer.addPass(this.vig);
     this.grain = new ShaderPass(GrainFS);
     this.composer.addPass(this.grain);
+    this.finish = new ShaderPass(FinishFS);
+    this.finish.enabled = false;
+    this.composer.addPass(this.finish);
   }
 
   _initLights() {
-    this.scene.add(new THREE.DirectionalLight(0xfff5e0, 2.6).translateX(8).translateY(4).translateZ(6));
+    // key light is the Sun, placed from the ephemeris every frame
+    this.sunLight = new THREE.DirectionalLight(0xfff5e0, 2.6);
+    this.sunLight.position.set(8, 4, 6);
+    this.scene.add(this.sunLight);
+    this.uSun = { value: this.sunLight.position.clone().normalize() };
     this.scene.add(new THREE.DirectionalLight(0x3a6fff, 0.4).translateX(-6).translateY(-2).translateZ(-4));
     this.scene.add(new THREE.DirectionalLight(0x553399, 0.1).translateY(-5).translateZ(3));
     this.scene.add(new THREE.AmbientLight(0x0d1a2e, 0.85));
-    this.colLight = new THREE.PointLight(0xff4400, 0, 18);
-    this.root.add(this.colLight);
+    // one light per timeline slot, all created up front so lit shaders never recompile mid-cascade
+    this.colLights = Array.from({ length: COLLISION_MAX }, () => new THREE.PointLight(0xff4400, 0, 18));
+    this.root.add(...this.colLights);
   }
 
   _initStars() {
@@ -591,8 +1018,16 @@ class AstralEngine {
   }
 
   _initEarth() {
+    // Natural Earth 1:50m land, equirectangular, north up, longitude −180° at u = 0
+    const land = new THREE.TextureLoader().load("/land.png");
+    land.colorSpace = THREE.NoColorSpace;
+    land.generateMipmaps = false; land.minFilter = THREE.LinearFilter; // no mip seam where longitude wraps
+    this.uLand = { value: land };
+    this.owned.add(land); // reached only through onBeforeCompile
+
     const fg = new THREE.SphereGeometry(EARTH_RADIUS, 128, 128);
     const fm = new THREE.MeshStandardMaterial({ color: 0x2255aa, roughness: 0.65, metalness: 0.05, emissive: 0x0a1530, emissiveIntensity: 0.12 });
+    this._nightSide(fm, true);
     this.earth = new THREE.Mesh(fg, fm);
     this.root.add(this.earth);
 
@@ -601,8 +1036,10 @@ class AstralEngine {
     this.clouds = new THREE.Mesh(cg, cm);
     this.root.add(this.clouds);
 
-    new GLTFLoader().load("/earth.glb", gltf => {
+    this._loadGlb("/earth.glb", gltf => {
+      // the procedural sphere as it is now: _tessellate may have swapped its geometry
       this.root.remove(this.earth);
+      this.earth.geometry.dispose(); this.earth.material.dispose();
       const mdl = gltf.scene;
       const s = EARTH_RADIUS / new THREE.Box3().setFromObject(mdl).getBoundingSphere(new THREE.Sphere()).radius;
       mdl.scale.setScalar(s);
@@ -610,12 +1047,47 @@ class AstralEngine {
         if (c.isMesh && c.material) {
           const hsl = {}; c.material.color?.getHSL(hsl);
           if (hsl.s !== undefined) c.material.color.setHSL(hsl.h, Math.min(hsl.s * 1.35, 1), hsl.l * 1.05);
+          this._nightSide(c.material);
           c.material.needsUpdate = true;
         }
       });
       this.earth = mdl;
       this.root.add(this.earth);
-    }, undefined, () => {});
+    });
+  }
+
+  /* Load a GLB model, handing it on only if the engine is still alive; a
+     missing file keeps the procedural stand-in */
+  _loadGlb(url, done) {
+    new GLTFLoader().load(url, gltf => { if (!this.disposed) done(gltf); }, undefined, () => {});
+  }
+
+  /* Day / night shading from uSun, with city lights on night-side land.
+     Land comes from the land mask, looked up by latitude and longitude of the
+     mesh-local position: the Earth turns by GMST, so local axes are ECEF in
+     the scene's y-up order (x, z, −y). `tint` also colours land by day, for
+     the procedural sphere that has no texture of its own. */
+  _nightSide(m, tint = false) {
+    m.onBeforeCompile = sh => {
+      sh.uniforms.uSun = this.uSun;
+      sh.uniforms.tLand = this.uLand;
+      sh.vertexShader = "varying vec3 vEarthP,vEarthN;\n" + sh.vertexShader.replace("#include <begin_vertex>",
+        "#include <begin_vertex>\nvEarthP=normalize(position);vEarthN=normalize(mat3(modelMatrix)*normal);");
+      sh.fragmentShader = `uniform vec3 uSun;uniform sampler2D tLand;varying vec3 vEarthP,vEarthN;
+        float h3(vec3 p){return fract(sin(dot(p,vec3(127.1,311.7,74.7)))*43758.5453);}
+        float n3(vec3 p){vec3 i=floor(p),f=fract(p);f=f*f*(3.-2.*f);
+          return mix(mix(mix(h3(i),h3(i+vec3(1,0,0)),f.x),mix(h3(i+vec3(0,1,0)),h3(i+vec3(1,1,0)),f.x),f.y),
+                     mix(mix(h3(i+vec3(0,0,1)),h3(i+vec3(1,0,1)),f.x),mix(h3(i+vec3(0,1,1)),h3(i+vec3(1,1,1)),f.x),f.y),f.z);}
+        float landAt(vec3 p){return texture2D(tLand,vec2(atan(-p.z,p.x)*.15915494+.5,asin(clamp(p.y,-1.,1.))*.31830989+.5)).r;}
+        ` + sh.fragmentShader.replace("#include <color_fragment>", `#include <color_fragment>
+        float land=landAt(vEarthP);
+        ${tint ? "diffuseColor.rgb=mix(diffuseColor.rgb,vec3(.16,.27,.14),land);" : ""}`).replace("#include <opaque_fragment>", `
+        float day=smoothstep(-.1,.1,dot(normalize(vEarthN),uSun));
+        // settlement scatter is noise, but only where the mask has land and not on Antarctica
+        float city=land*step(-.85,vEarthP.y)*pow(n3(vEarthP*38.),6.)*step(.72,h3(floor(vEarthP*160.)));
+        outgoingLight=outgoingLight*mix(.18,1.,day)+vec3(1.,.68,.32)*city*2.4*(1.-day);
+        #include <opaque_fragment>`);
+    };
   }
 
   _initAtmo() {
@@ -653,11 +1125,7 @@ class AstralEngine {
   _initOrbits() {
     this.orbitRings = [];
     ORBIT_DEFS.forEach(o => {
-      const pts = [];
-      for (let i = 0; i <= 512; i++) {
-        const a = (i / 512) * Math.PI * 2;
-        pts.push(orbitPos(EARTH_RADIUS * o.r, o.inc, o.asc, a));
-      }
+      const pts = orbitPath(orbitEl(o));
       const g = new THREE.BufferGeometry().setFromPoints(pts);
       
       // Use ShaderMaterial for glowing colored orbits
@@ -693,16 +1161,15 @@ class AstralEngine {
       
       const line = new THREE.Line(g, m);
       this.root.add(line);
-      this.orbitRings.push({ line, mat: m, def: o });
+      this.orbitRings.push({ line, mat: m, def: o, pts });
     });
 
     // Danger orbits (collision pair)
-    this.dangerOrbitA = { r: EARTH_RADIUS * 1.42, inc: 0.35, asc: 0.4 };
-    this.dangerOrbitB = { r: EARTH_RADIUS * 1.42, inc: -0.3, asc: 0.4 };
+    this.dangerOrbitA = { a: EARTH_RADIUS * 1.42, e: 0, inc: 0.35, raan: 5.88, argp: 0 };
+    this.dangerOrbitB = { a: EARTH_RADIUS * 1.42, e: 0, inc: 0.30, raan: 2.74, argp: 0 };
 
     [["dRingA", "dRingMatA", this.dangerOrbitA], ["dRingB", "dRingMatB", this.dangerOrbitB]].forEach(([mn, mm, o]) => {
-      const pts = [];
-      for (let i = 0; i <= 512; i++) pts.push(orbitPos(o.r, o.inc, o.asc, (i / 512) * Math.PI * 2));
+      const pts = orbitPath(o);
       const g = new THREE.BufferGeometry().setFromPoints(pts);
       const m = new THREE.ShaderMaterial({
         uniforms: {
@@ -722,21 +1189,28 @@ class AstralEngine {
   }
 
   _initSats() {
-    const rng = prng(13);
-    this.satData = generateSats(ORBIT_DEFS, rng);
-    this.activeIdx = [0, 7, 14, 22, 31, 38, 47, 55, 63, 74, 88, 101, 130, 155];
-
+    this._setSatData(generateSats(ORBIT_DEFS, prng(13)));
     this._buildInstanced(this._buildSatGeo());
 
-    new GLTFLoader().load("/satellite.glb", gltf => {
+    this._loadGlb("/satellite.glb", gltf => {
       let g = null;
       gltf.scene.traverse(c => { if (c.isMesh && !g) g = c.geometry.clone(); });
-      if (g) { g.computeBoundingSphere(); const s = 0.045 / g.boundingSphere.radius; g.scale(s, s, s); this.root.remove(this.satInst); this._buildInstanced(g); }
-    }, undefined, () => {});
+      if (g) { g.computeBoundingSphere(); const s = 0.045 / g.boundingSphere.radius; g.scale(s, s, s); this._buildInstanced(g); }
+    });
 
-    // Danger sats
-    this.dA = { r: this.dangerOrbitA.r, inc: this.dangerOrbitA.inc, asc: this.dangerOrbitA.asc, phase: 0, speed: 0.2 };
-    this.dB = { r: this.dangerOrbitB.r, inc: this.dangerOrbitB.inc, asc: this.dangerOrbitB.asc, phase: Math.PI * 0.82, speed: 0.23 };
+    // Danger sats — scripted pair, used when screening finds no conjunction.
+    // Both orbits share a period, so phasing each onto the line where the
+    // planes cross puts them there together every half period.
+    const l = sceneToEci(orbitNormal(this.dangerOrbitA).cross(orbitNormal(this.dangerOrbitB)));
+    const along = v => l[0] * v[0] + l[1] * v[1] + l[2] * v[2];
+    const [dA, dB] = [this.dangerOrbitA, this.dangerOrbitB].map(o => {
+      const { P, Q } = perifocalBasis(o);
+      return { ...o, phase: Math.atan2(along(Q), along(P)), speed: orbitRate(o.a) };
+    });
+    this.dA = { ...dA, name: "DANGER-A", mass: 900 };
+    this.dB = { ...dB, name: "DANGER-B", mass: 560 };
+    this.dScript = [this.dA, this.dB];
+    this._scriptTca = null;
 
     const dg = this._buildSatGeo();
     this.dMatA = new THREE.MeshPhongMaterial({ color: C.satNormal, emissive: C.satNormal, emissiveIntensity: 0.3, shininess: 100 });
@@ -745,17 +1219,18 @@ class AstralEngine {
     this.dMeshB = new THREE.Mesh(dg.clone(), this.dMatB); this.dMeshB.scale.setScalar(2.0); this.dMeshB.visible = false;
     this.root.add(this.dMeshA); this.root.add(this.dMeshB);
 
-    new GLTFLoader().load("/satellite.glb", gltf => {
+    this._loadGlb("/satellite.glb", gltf => {
       let g = null;
       gltf.scene.traverse(c => { if (c.isMesh && !g) g = c.geometry.clone(); });
       if (g) {
         g.computeBoundingSphere(); const s = 0.05 / g.boundingSphere.radius; g.scale(s, s, s);
         this.root.remove(this.dMeshA); this.root.remove(this.dMeshB);
+        this.dMeshA.geometry.dispose(); this.dMeshB.geometry.dispose();
         this.dMeshA = new THREE.Mesh(g, this.dMatA); this.dMeshA.scale.setScalar(2.0); this.dMeshA.visible = false;
         this.dMeshB = new THREE.Mesh(g.clone(), this.dMatB); this.dMeshB.scale.setScalar(2.0); this.dMeshB.visible = false;
         this.root.add(this.dMeshA); this.root.add(this.dMeshB);
       }
-    }, undefined, () => {});
+    });
 
     // Glow sprites
     const gt = this._glowTex(255, 50, 30);
@@ -767,12 +1242,13 @@ class AstralEngine {
 
     // Active glow
     const ag = this._buildSatGeo();
-    this.actMeshes = this.activeIdx.map(() => {
+    this.owned.add(ag); // each mesh draws a clone
+    this.actMeshes = ACTIVE_IDX.map(() => {
       const m = new THREE.Mesh(ag.clone(), new THREE.MeshPhongMaterial({ color: C.satActive, emissive: C.satActive, emissiveIntensity: 2.0, shininess: 120, transparent: true }));
       m.visible = false; this.root.add(m); return m;
     });
     const at = this._glowTex(0, 255, 200);
-    this.actSprites = this.activeIdx.map(() => {
+    this.actSprites = ACTIVE_IDX.map(() => {
       const sp = new THREE.Sprite(new THREE.SpriteMaterial({ map: at, color: 0x00ffc8, transparent: true, blending: THREE.AdditiveBlending, depthWrite: false, opacity: 0 }));
       sp.scale.setScalar(0.4); this.root.add(sp); return sp;
     });
@@ -792,7 +1268,7 @@ class AstralEngine {
           emissive: new THREE.Color(0xff3300), emissiveIntensity: 2.5, shininess: 50, transparent: true, opacity: 0,
         });
         const mesh = new THREE.Mesh(g, m); mesh.visible = false; this.root.add(mesh);
-        this.frags[s].push({ mesh, mat: m, pos: new THREE.Vector3(), vel: new THREE.Vector3(), rotAxis: new THREE.Vector3(rng() - .5, rng() - .5, rng() - .5).normalize(), rotSpd: (rng() - .5) * 12, life: 1 });
+        this.frags[s].push({ mesh, mat: m, pos: new THREE.Vector3(), orbit: null, rotAxis: new THREE.Vector3(rng() - .5, rng() - .5, rng() - .5).normalize(), rotSpd: (rng() - .5) * 12, life: 1 });
       }
     }
   }
@@ -809,15 +1285,236 @@ class AstralEngine {
     return mg;
   }
 
-  _buildInstanced(g) {
-    const m = new THREE.MeshPhongMaterial({ color: 0xffffff, emissive: new THREE.Color(0x182840), emissiveIntensity: 0.3, shininess: 65 });
+  _setSatData(sats) {
+    this.satData = sats;
+    this.satPool = sats.length;
+    this.activeIdx = ACTIVE_IDX.filter(i => i < this.satPool);
+    // per-object orbit state from the previous frame, so re-entries can be caught as they happen
+    this._satUp = new Uint8Array(sats.length);
+    this._satShown = new Uint8Array(sats.length);
+    this._satLast = sats.map(() => new THREE.Vector3());
+    this._satGen++;
+    this.worker?.postMessage({ type: "sats", gen: this._satGen, sats, units: SCENE_UNITS });
+    this.satCat = sats.map((s, i) => s.type === "payload" ? (s.active || this.activeIdx.includes(i) ? "active" : "payload") : s.type);
+    this.setFilter(this.filter);
+  }
+
+  /* Append a Walker-delta shell (sim/walker.js: t, p, f, alt in km, inc in
+     rad, optional raan0 and name) and re-screen. Returns how many satellites
+     were added, or why the pattern was rejected. */
+  addShell(w) {
+    const error = walkerError(w);
+    if (error) return { added: 0, error };
+    const base = this.satData.length, rng = prng(base + 71), name = w.name || `WALKER ${w.t}/${w.p}/${w.f}`;
+    const pad = (v, n) => String(v).padStart(n, "0");
+    const sats = walkerDelta(w).map((el, k) => {
+      const a = el.a * KM_TO_SCENE, speed = orbitRate(a);
+      const s = {
+        id: base + k, oi: nearestBand(ORBIT_DEFS, a), name: `${name}-${pad(el.plane + 1, 2)}${pad(el.slot + 1, 2)}`,
+        type: "payload", active: true, shell: name,
+        a, e: 0, inc: el.inc, raan: el.raan, argp: 0, phase: el.M, speed,
+        ...satSize(rng),
+      };
+      s.drag = orbitDrag(s, SAT_AM, speed);
+      return s;
+    });
+    this._setSatData([...this.satData, ...sats]);
+    this._fitInstances();
+    this.screen();
+    return { added: sats.length, error: null };
+  }
+
+  /* Drop every runtime shell; the base set keeps its indices */
+  clearShells() {
+    const keep = this.satData.filter(s => !s.shell);
+    if (keep.length === this.satData.length) return;
+    if (this.selected?.kind === "sat" && this.selected.i >= keep.length) this.select(null);
+    this._setSatData(keep);
+    this._fitInstances();
+    this.screen();
+  }
+
+  /* Apply a catalog filter (null clears) and report the matches through onFilter */
+  setFilter(f) {
+    this.filter = filterOn(f) ? f : null;
+    this._match = this.satData.map((s, i) => !this.filter || filterMatch(s, this.satCat[i], this.filter));
+    const rows = [];
+    this.satData.forEach((s, i) => {
+      if (this._match[i] && rows.length < 100) rows.push({ i, id: s.norad ?? s.id, name: satLabel(s), cat: this.satCat[i], oi: s.oi });
+    });
+    this.onFilter?.({ on: !!this.filter, count: this._match.filter(Boolean).length, total: this.satData.length, rows });
+  }
+
+  /* Select catalog object i, as the danger-pair mesh while it is drawn in its place */
+  selectSat(i) {
+    const th = this.dMeshA.visible && this.threat;
+    this.select(th && i === th.a ? { kind: "danger", i: 0 } : th && i === th.b ? { kind: "danger", i: 1 } : { kind: "sat", i });
+  }
+
+  /* Instanced mesh with room for `cap` objects; only the first satPool are drawn */
+  _buildInstanced(g, cap = Math.max(this.satPool, this.satCap || 0)) {
+    if (this.satInst) { this.root.remove(this.satInst); this.satInst.dispose(); }
+    if (this.satGeo && this.satGeo !== g) this.satGeo.dispose();
+    const m = this.satMat || new THREE.MeshPhongMaterial({ color: 0xffffff, emissive: new THREE.Color(0x182840), emissiveIntensity: 0.3, shininess: 65 });
     this.satMat = m;
-    this.satInst = new THREE.InstancedMesh(g, m, SAT_POOL);
+    this.satGeo = g;
+    this.satCap = cap;
+    this.satInst = new THREE.InstancedMesh(g, m, cap);
     this.satInst.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-    this.satInst.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(SAT_POOL * 3).fill(1), 3);
+    this.satInst.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(cap * 3).fill(1), 3);
+    this.satInst.count = this.satPool;
     this.root.add(this.satInst);
   }
 
+  /* Match the instance count to satData, growing capacity geometrically */
+  _fitInstances() {
+    if (this.satPool > this.satCap) this._buildInstanced(this.satGeo, Math.max(this.satPool, this.satCap * 2));
+    else this.satInst.count = this.satPool;
+  }
+
+  /* Replace satData with a TLE / 3LE catalog. Rejected lines are reported
+     through onCatalog; the procedural set stays when nothing parses. */
+  loadCatalog(text, source = "catalog") {
+    const { entries, errors } = parseTLE(text);
+    const refEpoch = entries.reduce((m, e) => Math.max(m, e.epoch), -Infinity);
+    // the clock jumps to the newest element set so the catalog starts fresh
+    const epoch = refEpoch - this.simClock.t * 1000;
+    const sats = catalogSats(entries, refEpoch, epoch, ORBIT_DEFS, prng(13), errors);
+    errors.sort((a, b) => a.line - b.line).forEach(e => console.warn(`[astral] ${source}:${e.line} ${e.message}`));
+    if (sats.length) {
+      this.simClock.setUtc(refEpoch);
+      this._setSatData(sats);
+      this._fitInstances();
+      this.screen();
+    }
+    this.catalog = { source, count: sats.length, errors };
+    this.onCatalog?.(this.catalog);
+    return this.catalog;
+  }
+
+  /* Screen every object against every other over the next SCREEN.window
+     simulated seconds and score each conjunction with a 2D Pc. The closest
+     approach becomes the phase 03 pair; with none under threshold the
+     scripted pair stays. With a worker the result lands a little later,
+     through onScreening. */
+  screen(opts = {}) {
+    const o = { ...SCREEN, ...this.screenOpts, ...opts }, t0 = this.simClock.t;
+    if (this.worker) {
+      // a threat whose objects just left the set cannot stay up until the answer comes
+      if (this.threat && Math.max(this.threat.a, this.threat.b) >= this.satData.length) this._setThreat(null);
+      this._screening = { id: ++this._screenId, o };
+      this.worker.postMessage({ type: "screen", id: this._screenId, t0, opts: o });
+      return;
+    }
+    this._screened(t0, screenCatalog(this.satData, t0, o, SCENE_UNITS), o);
+  }
+
+  /* Alert levels and names for a screening run, the HUD summary and the phase 03 pair */
+  _screened(t0, { conjunctions: raw, tracked }, o) {
+    const sats = this.satData;
+    const conjunctions = raw.map(c => ({
+      ...c, level: alertLevel(c.pc), t: c.tca / SIM_RATE, dt: c.tca - t0, nameA: satLabel(sats[c.a]), nameB: satLabel(sats[c.b]),
+    }));
+    const maxPc = conjunctions.reduce((m, c) => Math.max(m, c.pc), 0);
+    this.conjunctions = conjunctions;
+    this.screening = {
+      t0, tracked, threshold: o.threshold, conjunctions, maxPc, level: alertLevel(maxPc),
+      counts: STATUS.map((_, l) => conjunctions.filter(c => c.level === l).length),
+    };
+    // a recorded collision keeps the pair it was recorded with
+    if (!this.cascade) this._setThreat(conjunctions[0]);
+    this.onScreening?.(this.screening);
+  }
+
+  /* Simulation worker (sim/worker.js): propagates the catalog for the next
+     frame, screens it and extends the cascade record while this thread
+     renders. Without one, or once it fails, all three run inline. */
+  _initWorker() {
+    this._satGen = 0; this._screenId = 0; this._cascadeId = 0;
+    this._frame = null; this._spare = null; this._asked = false;
+    this._askedAt = 0; this._lead = 1 / 60; this._carried = new Float32Array(16);
+    if (typeof Worker === "undefined") return;
+    this.worker = new Worker(new URL("./sim/worker.js", import.meta.url), { type: "module" });
+    this.worker.onmessage = ({ data }) => this._fromWorker(data);
+    this.worker.onerror = e => {
+      console.warn(`[astral] simulation worker failed, running inline: ${e.message}`);
+      this.worker.terminate(); this.worker = null; this._frame = null;
+      if (!this.disposed) this.screen();
+    };
+  }
+
+  _fromWorker(d) {
+    if (this.disposed) return;
+    if (d.type === "frame") {
+      this._asked = false;
+      if (d.gen !== this._satGen) return; // computed for an object set that has since changed
+      this._spare = this._frame;
+      this._frame = d;
+      d.askedAt = this._askedAt;
+    } else if (d.type === "screen" && d.id === this._screening?.id) {
+      this._screened(d.t0, d, this._screening.o);
+    } else if (d.type === "tracks") {
+      this._tracksAsked = false;
+      if (d.gen === this._satGen) this._tracks = { gen: d.gen, t: d.t, epoch: d.epoch, tracks: d.tracks };
+    } else if (d.type === "cascade" && d.id === this.cascade?.id) {
+      const c = this.cascade;
+      c.asked = false;
+      if (d.gen !== this._satGen || d.to === c.tau) return; // nothing recorded; the next frame asks again
+      this._applyHits(d.at, d.hits);
+      c.tau = d.to;
+      this._askCascade();
+    }
+  }
+
+  /* Ask the worker for the catalog at the time its reply will be drawn at,
+     one measured round trip ahead, handing it the buffers of the frame
+     before last */
+  _askFrame(st) {
+    if (!this.worker || this._asked) return;
+    const n = this.satPool, f = this._spare?.gen === this._satGen ? this._spare : null;
+    const mat = f ? f.mat : new Float32Array(n * 16), vel = f ? f.vel : new Float32Array(n * 3);
+    this._spare = null;
+    const t = this.simClock.paused ? st : st + (this._lead * this.simClock.warp) / SIM_RATE;
+    this.worker.postMessage({ type: "frame", gen: this._satGen, t, mat, vel }, [mat.buffer, vel.buffer]);
+    this._asked = true; this._askedAt = this._wall;
+  }
+
+  /* Object i of worker frame f carried lag simulated seconds along its orbit:
+     the whole instance matrix turned about the orbit normal at the object's
+     angular rate, exact for a circular orbit. Left in _carried; returns the
+     position. */
+  _carry(f, i, lag) {
+    const c = this._carried, k = i * 3;
+    c.set(f.mat.subarray(i * 16, i * 16 + 16));
+    const x = c[12], y = c[13], z = c[14], vx = f.vel[k], vy = f.vel[k + 1], vz = f.vel[k + 2];
+    const hx = y * vz - z * vy, hy = z * vx - x * vz, hz = x * vy - y * vx, h = Math.hypot(hx, hy, hz);
+    if (h > 0 && lag) {
+      const a = (h / (x * x + y * y + z * z)) * lag, co = Math.cos(a), sn = Math.sin(a);
+      for (let o = 0; o < 16; o += 4) turn(c, o, hx / h, hy / h, hz / h, co, sn);
+    }
+    return this._tp.set(c[12], c[13], c[14]);
+  }
+
+  _setThreat(c) {
+    this.threat = c || null;
+    [this.dA, this.dB] = c ? [this.satData[c.a], this.satData[c.b]] : this.dScript;
+    [[this.dRingA, this.dA], [this.dRingB, this.dB]].forEach(([l, s]) => {
+      l.geometry.dispose();
+      l.geometry = new THREE.BufferGeometry().setFromPoints(orbitPath(s));
+    });
+  }
+
+  /* Scene time the danger pair is drawn at: the pair is walked up to its TCA
+     as phase 03 plays. The scripted pair meets on the node line every half
+     period; its TCA is the first meeting a full lead after phase 03 began. */
+  _dangerT(t, p3) {
+    const lead = DANGER_LEAD / SIM_RATE;
+    if (this.threat) return this.threat.t - (1 - p3) * lead;
+    const half = Math.PI / this.dA.speed;
+    this._scriptTca ??= Math.ceil((t + lead) / half) * half;
+    return this._scriptTca - (1 - p3) * lead;
+  }
+
   _glowTex(r, g, b) {
     const s = 128, cv = document.createElement("canvas"); cv.width = cv.height = s;
     const ctx = cv.getContext("2d"), grd = ctx.createRadialGradient(s / 2, s / 2, 0, s / 2, s / 2, s / 2);
@@ -829,51 +1526,526 @@ class AstralEngine {
 
   _initDebris() {
     const rng = prng(55);
-    this.debrisP = Array.from({ length: DEBRIS_N }, () => ({
-      pos: new THREE.Vector3(), vel: new THREE.Vector3(), life: rng(), size: rng() * 0.02 + 0.006,
-      col: new THREE.Color().setHSL(0.02 + rng() * 0.06, 0.95, 0.3 + rng() * 0.3), active: false,
+    this.debrisP = Array.from({ length: DEBRIS_MAX }, (_, i) => ({
+      i, pos: new THREE.Vector3(), at: NaN, orbit: null, t0: 0, t1: Infinity, hit: Infinity, mass: 0, gen: 0, life: rng(), size: rng() * 0.02 + 0.006,
+      col: new THREE.Color().setHSL(0.02 + rng() * 0.06, 0.95, 0.3 + rng() * 0.3), active: false, keep: rng(),
     }));
-    const p = new Float32Array(DEBRIS_N * 3), s = new Float32Array(DEBRIS_N), c = new Float32Array(DEBRIS_N * 3);
+    // tracked fragments and the untracked dust below them both fly on the GPU; the tracked
+    // set also lives in debrisP for the cascade, picking and the map
+    this.dragTex = dragTexture();
+    this.debrisField = orbitField(DEBRIS_MAX, this.dragTex, 1);
+    this.dustField = orbitField(DUST_MAX, this.dragTex, 0.45);
+    this.root.add(this.debrisField.points, this.dustField.points);
+    this.dust = []; // clouds still being released, a batch per frame
+    this._dustCol = new THREE.Color();
+  }
+
+  /* Tracked fragment d's position at tau, worked out only when something on the CPU asks */
+  _debrisPos(d, tau) {
+    if (d.at !== tau) { fragmentPos(d.orbit, tau - d.t0, d.pos); d.at = tau; }
+    return d.pos;
+  }
+
+  /* Re-entry streaks: short additive line segments that run on along the
+     direction of travel and cool from white-hot to dull orange */
+  _initStreaks() {
     const g = new THREE.BufferGeometry();
-    g.setAttribute("position", new THREE.BufferAttribute(p, 3).setUsage(THREE.DynamicDrawUsage));
-    g.setAttribute("pSize", new THREE.BufferAttribute(s, 1).setUsage(THREE.DynamicDrawUsage));
-    g.setAttribute("pColor", new THREE.BufferAttribute(c, 3).setUsage(THREE.DynamicDrawUsage));
-    const m = new THREE.ShaderMaterial({
-      vertexShader: `attribute float pSize;attribute vec3 pColor;varying vec3 vC;void main(){vC=pColor;vec4 mv=modelViewMatrix*vec4(position,1.);gl_PointSize=pSize*(500./-mv.z);gl_Position=projectionMatrix*mv;}`,
-      fragmentShader: `varying vec3 vC;void main(){float d=length(gl_PointCoord-.5);if(d>.5)discard;float core=smoothstep(.5,0.,d);vec3 fc=vC+vec3(.35,.06,0.)*core;gl_FragColor=vec4(fc,core+smoothstep(.5,.1,d)*.4);}`,
-      transparent: true, depthWrite: false, blending: THREE.AdditiveBlending,
+    g.setAttribute("position", new THREE.BufferAttribute(new Float32Array(STREAK_N * 6).fill(9999), 3).setUsage(THREE.DynamicDrawUsage));
+    g.setAttribute("color", new THREE.BufferAttribute(new Float32Array(STREAK_N * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    this.streakGeo = g;
+    this.streakLines = new THREE.LineSegments(g, new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, blending: THREE.AdditiveBlending, depthWrite: false }));
+    this.streakLines.frustumCulled = false;
+    this.root.add(this.streakLines);
+    this.streaks = Array.from({ length: STREAK_N }, () => ({ pos: new THREE.Vector3(), dir: new THREE.Vector3(), t0: -Infinity }));
+    this._streakNext = 0;
+  }
+
+  /* Trails: a ring buffer of line segments per trailed object. Samples land
+     on a fixed simulated-time grid and keep their time stamp; the shader fades
+     each vertex by its age against the owning slot's clock, so a frame only
+     writes new samples and the live head segment. */
+  _initTrails() {
+    const S = TRAIL.slots, V = (TRAIL.points + 1) * 2; // ring segments plus the head
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.BufferAttribute(new Float32Array(S * V * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    g.setAttribute("aTime", new THREE.BufferAttribute(new Float32Array(S * V).fill(-1e9), 1).setUsage(THREE.DynamicDrawUsage));
+    g.setAttribute("aColor", new THREE.BufferAttribute(new Float32Array(S * V * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    g.setAttribute("aSlot", new THREE.BufferAttribute(Float32Array.from({ length: S * V }, (_, i) => Math.floor(i / V)), 1));
+    this.trailGeo = g;
+    this.trailMat = new THREE.ShaderMaterial({
+      uniforms: { uNow: { value: new Float32Array(S) }, uLen: { value: 1 } },
+      vertexShader: `
+        attribute float aTime, aSlot;
+        attribute vec3 aColor;
+        uniform float uNow[${S}];
+        uniform float uLen;
+        varying vec3 vColor;
+        varying float vAge;
+        void main() {
+          vColor = aColor;
+          vAge = (uNow[int(aSlot)] - aTime) / uLen;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }`,
+      fragmentShader: `
+        varying vec3 vColor;
+        varying float vAge;
+        void main() {
+          if (vAge < 0.0 || vAge > 1.0) discard; // not yet sampled (time run back) or older than the trail
+          float a = 1.0 - vAge;
+          gl_FragColor = vec4(vColor, a * a * 0.85);
+        }`,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
     });
-    this.debrisGeo = g; this.debrisMat = m;
-    this.debrisPoints = new THREE.Points(g, m);
-    this.root.add(this.debrisPoints);
-
-    // Kessler cloud
-    const kN = 1800, kr = prng(77);
-    const kp = new Float32Array(kN * 3), ks = new Float32Array(kN), kc = new Float32Array(kN * 3);
-    for (let i = 0; i < kN; i++) {
-      const v = randOnSphere(EARTH_RADIUS * (1.28 + kr() * 0.48), kr);
-      kp[i * 3] = v.x; kp[i * 3 + 1] = v.y; kp[i * 3 + 2] = v.z;
-      ks[i] = kr() * 1.8 + 0.3;
-      const cc = new THREE.Color().setHSL(0.02 + kr() * 0.06, 0.9, 0.25 + kr() * 0.2);
-      kc[i * 3] = cc.r; kc[i * 3 + 1] = cc.g; kc[i * 3 + 2] = cc.b;
+    this.trailLines = new THREE.LineSegments(g, this.trailMat);
+    this.trailLines.frustumCulled = false;
+    this.root.add(this.trailLines);
+    this.trailSlots = Array.from({ length: S }, () => ({ key: null, src: null, k: null, seg: 0, has: false, last: new THREE.Vector3(), lastT: 0 }));
+    this._trailP = new THREE.Vector3();
+    this.setTrails(TRAIL_OPTS);
+  }
+
+  /* Which objects carry trails and how long they are (simulated minutes) */
+  setTrails(o) {
+    const minutes = clamp(+o.minutes || TRAIL.minutes, 1, 1440);
+    if (minutes !== this.trailOpts?.minutes) this.trailSlots.forEach(sl => { sl.k = null; }); // resample on the new grid
+    this.trailOpts = { ...TRAIL_OPTS, ...o, minutes };
+  }
+
+  /* Objects that should carry a trail this frame, most important first */
+  _trailKeys(st, ch) {
+    const o = this.trailOpts, sel = this.selected, keys = [];
+    if (o.selected && sel) keys.push(sel.kind === "danger" ? `danger:${sel.i}:${[this.threat?.a, this.threat?.b][sel.i]}` : `${sel.kind}:${sel.i}`);
+    if (o.pair && ch >= 3 && this.dMeshA.visible) keys.push(`danger:0:${this.threat?.a}`, `danger:1:${this.threat?.b}`);
+    if (o.band >= 0) this.satData.forEach((s, i) => { if (s.oi === o.band && this._satShown[i]) keys.push(`sat:${i}`); });
+    if (o.debris && this.collisionDone) {
+      const tau = this._tauAt(st);
+      this.debrisP.forEach((d, i) => { if (this._drawn(d, tau)) keys.push(`debris:${i}`); });
     }
-    const kg = new THREE.BufferGeometry();
-    kg.setAttribute("position", new THREE.BufferAttribute(kp, 3)); kg.setAttribute("size", new THREE.BufferAttribute(ks, 1)); kg.setAttribute("color", new THREE.BufferAttribute(kc, 3));
-    this.kesslerMat = new THREE.ShaderMaterial({
-      uniforms: { uOp: { value: 0 }, uTime: { value: 0 } },
-      vertexShader: `attribute float size;attribute vec3 color;varying vec3 vC;uniform float uTime;void main(){vC=color;float s=size*(0.8+0.2*sin(uTime*0.35+position.x*5.));vec4 mv=modelViewMatrix*vec4(position,1.);gl_PointSize=s*(260./-mv.z);gl_Position=projectionMatrix*mv;}`,
-      fragmentShader: `varying vec3 vC;uniform float uOp;void main(){float d=length(gl_PointCoord-.5);if(d>.5)discard;gl_FragColor=vec4(vC,smoothstep(.5,0.,d)*uOp);}`,
-      transparent: true, depthWrite: false, blending: THREE.AdditiveBlending,
+    return [...new Set(keys)].slice(0, TRAIL.slots);
+  }
+
+  /* Color, clock and position-at-time for a trail key */
+  _trailSource(key) {
+    const [kind, a] = key.split(":"), i = +a;
+    if (kind === "debris") {
+      const d = this.debrisP[i];
+      return { color: C.debris, now: st => st, at: (t, out) => { const tau = this._tauAt(t); return this._flying(d, tau) ? fragmentPos(d.orbit, tau - d.t0, out) : null; } };
+    }
+    const s = kind === "danger" ? [this.dA, this.dB][i] : this.satData[i];
+    return {
+      color: kind === "danger" ? C.red : ORBIT_DEFS[s.oi].color,
+      // the danger pair is drawn at the phase 03 danger time while held, so its trail runs on that clock
+      now: kind === "danger" ? st => this.dMeshA.visible ? this._td ?? st : st : st => st,
+      at: (t, out) => {
+        if (kind === "sat" && this._goneAt(t)?.has(i)) return null;
+        const p = satPos(s, t);
+        return p.equals(HIDDEN) ? null : out.copy(p);
+      },
+    };
+  }
+
+  _trails(st, ch) {
+    const P = TRAIL.points, V = (P + 1) * 2, len = (this.trailOpts.minutes * 60) / SIM_RATE, step = len / P;
+    const pb = this.trailGeo.attributes.position.array, tb = this.trailGeo.attributes.aTime.array, cb = this.trailGeo.attributes.aColor.array;
+    const keys = this._trailKeys(st, ch), want = new Set(keys);
+
+    // free the slots whose object dropped out, then seat newcomers
+    this.trailSlots.forEach((sl, j) => { if (sl.key && !want.has(sl.key)) { sl.key = null; tb.fill(-1e9, j * V, (j + 1) * V); } });
+    const seated = new Set(this.trailSlots.map(sl => sl.key));
+    keys.forEach(key => {
+      const j = seated.has(key) ? -1 : this.trailSlots.findIndex(sl => !sl.key);
+      if (j < 0) return;
+      const src = this._trailSource(key);
+      Object.assign(this.trailSlots[j], { key, src, k: null });
+      this._tc.set(src.color);
+      for (let v = j * V; v < (j + 1) * V; v++) this._tc.toArray(cb, v * 3);
+    });
+
+    const seg = (j, n, a, ta, b, tbv) => {
+      const v = j * V + n * 2;
+      a.toArray(pb, v * 3); b.toArray(pb, v * 3 + 3);
+      tb[v] = ta; tb[v + 1] = tbv;
+    };
+    const p = this._trailP;
+    this.trailSlots.forEach((sl, j) => {
+      if (!sl.key) return;
+      const now = sl.src.now(st), kNow = Math.floor(now / step);
+      this.trailMat.uniforms.uNow.value[j] = now;
+      // new, clock run backwards, or jumped past the whole trail: rebuild from the orbit
+      if (sl.k === null || kNow < sl.k || kNow - sl.k > P) {
+        tb.fill(-1e9, j * V, (j + 1) * V);
+        Object.assign(sl, { k: kNow - P - 1, seg: 0, has: false });
+      }
+      for (let k = sl.k + 1; k <= kNow; k++) {
+        const ok = sl.src.at(k * step, p);
+        if (sl.has || !ok) {
+          if (ok) seg(j, sl.seg, sl.last, sl.lastT, p, k * step);
+          else tb[j * V + sl.seg * 2] = tb[j * V + sl.seg * 2 + 1] = -1e9;
+          sl.seg = (sl.seg + 1) % P;
+        }
+        sl.has = !!ok;
+        if (ok) { sl.last.copy(p); sl.lastT = k * step; }
+      }
+      sl.k = kNow;
+      // head: last grid sample to where the object is now
+      if (sl.has && sl.src.at(now, p)) seg(j, P, sl.last, sl.lastT, p, now);
+      else tb[j * V + P * 2] = tb[j * V + P * 2 + 1] = -1e9;
     });
-    this.root.add(new THREE.Points(kg, this.kesslerMat));
+    this.trailMat.uniforms.uLen.value = len;
+    this.trailGeo.attributes.position.needsUpdate = true;
+    this.trailGeo.attributes.aTime.needsUpdate = true;
+    this.trailGeo.attributes.aColor.needsUpdate = true;
   }
 
+  /* Start a streak at pos, travelling along the orbit with normal n */
+  _burn(pos, n) {
+    const st = this.streaks[this._streakNext];
+    this._streakNext = (this._streakNext + 1) % STREAK_N;
+    st.pos.copy(pos);
+    st.dir.crossVectors(n, pos).normalize().addScaledVector(pos, -0.25 / pos.length()).normalize();
+    st.t0 = this.clock.getElapsedTime();
+  }
+
+  _streaks(t) {
+    const pb = this.streakGeo.attributes.position.array, cb = this.streakGeo.attributes.color.array;
+    this.streaks.forEach((st, i) => {
+      const age = (t - st.t0) / 1.6;
+      if (age < 0 || age > 1) { pb.fill(9999, i * 6, i * 6 + 6); return; }
+      const head = this._tv.copy(st.pos).addScaledVector(st.dir, age * 0.12);
+      const tail = this._tv2.copy(head).addScaledVector(st.dir, -(0.05 + age * 0.1));
+      head.toArray(pb, i * 6); tail.toArray(pb, i * 6 + 3);
+      const heat = 1 - age;
+      this._tc.setRGB(1, 0.55 + 0.4 * heat * heat, 0.2 + 0.6 * heat * heat * heat).multiplyScalar(heat * 1.6).toArray(cb, i * 6);
+      this._tc.setRGB(0.9, 0.25, 0.05).multiplyScalar(heat * 0.5).toArray(cb, i * 6 + 3);
+    });
+    this.streakGeo.attributes.position.needsUpdate = true;
+    this.streakGeo.attributes.color.needsUpdate = true;
+  }
+
+  /* One screen flash per timeline slot; each is centred on its impact when it fires */
   _initFlash() {
-    this.flashDiv = document.createElement("div");
-    Object.assign(this.flashDiv.style, { position: "fixed", inset: "0", background: "radial-gradient(ellipse at center,rgba(255,180,80,.35) 0%,rgba(255,40,0,.4) 35%,transparent 65%)", opacity: "0", pointerEvents: "none", zIndex: "50" });
-    document.body.appendChild(this.flashDiv);
+    this.flashDivs = Array.from({ length: COLLISION_MAX }, () => {
+      const d = document.createElement("div");
+      Object.assign(d.style, { position: "fixed", inset: "0", opacity: "0", pointerEvents: "none", zIndex: "50" });
+      document.body.appendChild(d);
+      return d;
+    });
   }
 
+  _flash(ev) {
+    const v = this._tv.copy(ev.pt).project(this.camera), d = ev.flash;
+    const [x, y] = v.z < 1 ? [(v.x + 1) * 50, (1 - v.y) * 50] : [50, 50];
+    d.style.background = `radial-gradient(ellipse at ${x.toFixed(1)}% ${y.toFixed(1)}%,rgba(255,180,80,.35) 0%,rgba(255,40,0,.4) 35%,transparent 65%)`;
+    d.style.transition = "opacity 0.04s"; d.style.opacity = "1";
+    setTimeout(() => { d.style.transition = "opacity 1.2s ease-out"; d.style.opacity = "0"; }, 70);
+  }
+
+  /* ── 2D MAP ───────────────────────────────────────────────────────
+     Equirectangular view of the same simulation state: sub-satellite
+     points, ground tracks, the conjunction and the debris footprint. */
+
+  _initMap() {
+    const cv = document.createElement("canvas");
+    Object.assign(cv.style, { position: "fixed", inset: "0", width: "100%", height: "100%", zIndex: "5", pointerEvents: "none", display: "none", background: C.bg });
+    document.body.appendChild(cv);
+    this.mapCanvas = cv; this.mapCtx = cv.getContext("2d");
+    this.view = "globe";
+    this._tracks = null; this._tracksAt = -Infinity; this._tracksAsked = false;
+  }
+
+  /* UTC (ms) at scene time st */
+  _utcAt(st) { return this.simClock.epoch + st * SIM_RATE * 1000; }
+
+  /* Inertial position (km) of a satellite at scene time st; null once it is gone */
+  _eciAt(s, st) {
+    const p = satPos(s, st);
+    return p.equals(HIDDEN) ? null : sceneToEci(p, 1 / KM_TO_SCENE);
+  }
+
+  /* Rebuild the ground tracks (groundTracks) once the object set, the clock
+     epoch or the time window has moved on, at most every TRACK.refresh:
+     in the worker, the old tracks standing until it replies, or inline
+     without one */
+  _askTracks(t, st) {
+    const tr = this._tracks, epoch = this.simClock.epoch;
+    const fresh = tr && tr.gen === this._satGen && tr.epoch === epoch;
+    if (fresh && (tr.t === st || t - this._tracksAt <= TRACK.refresh)) return;
+    if (!this.worker) {
+      this._tracks = { gen: this._satGen, t: st, epoch, tracks: groundTracks(this.satData, st, TRACK, epoch, SCENE_UNITS) };
+      this._tracksAt = t;
+    } else if (!this._tracksAsked) {
+      this.worker.postMessage({ type: "tracks", gen: this._satGen, t: st, epoch, opts: TRACK });
+      this._tracksAsked = true; this._tracksAt = t;
+    }
+  }
+
+  _map(t, st) {
+    if (this.view !== "map") return;
+    const cv = this.mapCanvas, ctx = this.mapCtx, dpr = Math.min(window.devicePixelRatio, 2);
+    const W = window.innerWidth, H = window.innerHeight;
+    if (cv.width !== Math.round(W * dpr) || cv.height !== Math.round(H * dpr)) { cv.width = Math.round(W * dpr); cv.height = Math.round(H * dpr); }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, W, H);
+
+    const mw = Math.min(W * 0.84, H * 1.3), mh = mw / 2, x0 = (W - mw) / 2, y0 = (H - mh) / 2;
+    const X = lon => x0 + (lon / (2 * Math.PI) + 0.5) * mw, Y = lat => y0 + (0.5 - lat / Math.PI) * mh;
+    const utc = this.simClock.utc, deg = Math.PI / 180;
+    ctx.font = `8px ${F.mono}`;
+
+    // graticule every 30°
+    ctx.lineWidth = 1;
+    for (let d = -180; d <= 180; d += 30) {
+      ctx.strokeStyle = d === 0 ? C.textMicro : C.dim06;
+      ctx.beginPath(); ctx.moveTo(X(d * deg), y0); ctx.lineTo(X(d * deg), y0 + mh); ctx.stroke();
+      ctx.fillStyle = C.textMicro; ctx.fillText(`${Math.abs(d)}°${d < 0 ? "W" : d > 0 ? "E" : ""}`, X(d * deg) + 3, y0 + mh + 12);
+    }
+    for (let d = -90; d <= 90; d += 30) {
+      ctx.strokeStyle = d === 0 ? C.textMicro : C.dim06;
+      ctx.beginPath(); ctx.moveTo(x0, Y(d * deg)); ctx.lineTo(x0 + mw, Y(d * deg)); ctx.stroke();
+      ctx.fillStyle = C.textMicro; ctx.fillText(`${Math.abs(d)}°${d < 0 ? "S" : d > 0 ? "N" : ""}`, x0 - 30, Y(d * deg) + 3);
+    }
+
+    // night side: the terminator is where the Sun sits on the horizon
+    const sub = subPoint(this.sun.dir, utc);
+    const tanD = Math.tan(sub.lat) || 1e-6, edge = sub.lat > 0 ? -Math.PI / 2 : Math.PI / 2;
+    ctx.fillStyle = "rgba(0,0,0,.45)";
+    ctx.beginPath(); ctx.moveTo(x0, Y(edge));
+    for (let k = 0; k <= 180; k++) {
+      const lon = -Math.PI + (k / 180) * 2 * Math.PI;
+      ctx.lineTo(X(lon), Y(Math.atan(-Math.cos(lon - sub.lon) / tanD)));
+    }
+    ctx.lineTo(x0 + mw, Y(edge)); ctx.closePath(); ctx.fill();
+    ctx.fillStyle = "#ffd080"; ctx.beginPath(); ctx.arc(X(sub.lon), Y(sub.lat), 4, 0, Math.PI * 2); ctx.fill();
+
+    // ground tracks: past faint, future brighter, broken at the antimeridian
+    this._askTracks(t, st);
+    const gone = this._goneAt(st), g = this._tracks?.gen === this._satGen ? this._tracks.tracks : null;
+    const n = TRACK.samples + 1, now = Math.round((TRACK.past / (TRACK.past + TRACK.future)) * TRACK.samples);
+    if (g) for (let i = 0; i < this.satPool; i++) {
+      if (gone?.has(i) || !this._match[i] || this.bandSel >= 0 && this.satData[i].oi !== this.bandSel) continue;
+      ctx.strokeStyle = ORBIT_DEFS[this.satData[i].oi]?.color || C.satNormal;
+      [[0, now, 0.12], [now, n - 1, 0.38]].forEach(([a, b, alpha]) => {
+        ctx.globalAlpha = alpha;
+        ctx.beginPath();
+        for (let k = a, j = (i * n + a) * 2; k <= b; k++, j += 2) {
+          const lat = g[j], lon = g[j + 1];
+          if (Number.isNaN(lat)) continue;
+          if (k === a || Number.isNaN(g[j - 2]) || Math.abs(lon - g[j - 1]) > Math.PI) ctx.moveTo(X(lon), Y(lat));
+          else ctx.lineTo(X(lon), Y(lat));
+        }
+        ctx.stroke();
+      });
+    }
+    ctx.globalAlpha = 1;
+
+    // sub-satellite points
+    const threat = this.threat && !this.collisionDone ? this.threat : null;
+    this.satData.forEach((s, i) => {
+      const r = !gone?.has(i) && this._eciAt(s, st);
+      if (!r) return;
+      const p = subPoint(r, utc), danger = threat && (i === threat.a || i === threat.b);
+      ctx.fillStyle = danger ? C.red
+        : !this._match[i] || this.bandSel >= 0 && s.oi !== this.bandSel ? C.satDim
+        : this.filter ? CATEGORY_COLOR[this.satCat[i]]
+        : this.activeIdx.includes(i) ? C.satActive : C.satNormal;
+      ctx.fillRect(X(p.lon) - (danger ? 2.5 : 1.5), Y(p.lat) - (danger ? 2.5 : 1.5), danger ? 5 : 3, danger ? 5 : 3);
+    });
+
+    // debris footprint
+    if (this.collisionDone) {
+      ctx.fillStyle = C.debris; ctx.globalAlpha = 0.65;
+      const tau = this._tauAt(st);
+      this.debrisP.forEach(d => {
+        if (!this._drawn(d, tau)) return;
+        const p = subPoint(sceneToEci(this._debrisPos(d, tau), 1 / KM_TO_SCENE), utc);
+        ctx.fillRect(X(p.lon) - 0.75, Y(p.lat) - 0.75, 1.5, 1.5);
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    // conjunction location: the threat at TCA, or each timeline impact, with a countdown until it fires
+    const marks = this.collisionDone
+      ? this.collisions.map(ev => st < ev.t
+        ? { r: this._eciAt(ev.a, ev.t), st: ev.t, label: `${ev.name} ── T-${hms(ev.t * SIM_RATE - st * SIM_RATE)}` }
+        : { r: ev.bu && sceneToEci(ev.pt, 1 / KM_TO_SCENE), st: ev.t, label: ev.k ? `IMPACT ── ${ev.name}` : "IMPACT" })
+      : threat ? [{ r: this._eciAt(this.satData[threat.a], threat.t), st: threat.t, label: `TCA ${threat.t < st ? "PASSED" : `T-${hms(threat.t * SIM_RATE - st * SIM_RATE)}`} ── ${threat.miss.toFixed(2)} KM` }] : [];
+    marks.forEach(at => {
+      if (!at.r) return;
+      const p = subPoint(at.r, this._utcAt(at.st)), x = X(p.lon), y = Y(p.lat);
+      const pulse = 0.6 + 0.4 * Math.sin(t * 4);
+      ctx.strokeStyle = C.red; ctx.globalAlpha = pulse;
+      ctx.beginPath(); ctx.arc(x, y, 9, 0, Math.PI * 2); ctx.moveTo(x - 14, y); ctx.lineTo(x + 14, y); ctx.moveTo(x, y - 14); ctx.lineTo(x, y + 14); ctx.stroke();
+      ctx.globalAlpha = 1; ctx.fillStyle = C.red; ctx.fillText(at.label, x + 14, y - 10);
+    });
+
+    ctx.fillStyle = C.textDim;
+    ctx.fillText(`GROUND TRACK ── EQUIRECTANGULAR ── ${this.satData.length} OBJECTS`, x0, y0 - 12);
+  }
+
+  setView(v) {
+    this.view = v;
+    this.mapCanvas.style.display = v === "map" ? "block" : "none";
+  }
+
+  /* ── PICKING ──────────────────────────────────────────────────────
+     The pointer ray is tested against a small angular cone around every
+     drawn satellite, debris particle and the danger pair; the closest one
+     in front of the Earth wins. */
+
+  _initPick() {
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2(2, 2); // off-screen until the mouse moves
+    this.hovered = null; this.selected = null; this._selAt = -Infinity;
+    this.bandSel = -1; this._bandAt = -Infinity;
+    this.earthSphere = new THREE.Sphere(new THREE.Vector3(), EARTH_RADIUS);
+    this.selMarker = new THREE.Sprite(new THREE.SpriteMaterial({ map: this._glowTex(0, 255, 200), transparent: true, blending: THREE.AdditiveBlending, depthWrite: false }));
+    this.selMarker.visible = false;
+    this.root.add(this.selMarker);
+  }
+
+  _pick(st) {
+    if (this.view === "map" || this.isDragging) return null;
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const ray = this.raycaster.ray;
+    const tol = (Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) * 2 * PICK_PX) / window.innerHeight;
+    const wall = ray.intersectSphere(this.earthSphere, this._tv2) ? ray.origin.distanceTo(this._tv2) : Infinity;
+    let best = null, bestA = tol;
+    const test = (kind, i, p) => {
+      const along = this._tv.copy(p).sub(ray.origin).dot(ray.direction);
+      if (along <= 0 || along > wall) return;
+      const a = Math.sqrt(ray.distanceSqToPoint(p)) / along;
+      if (a < bestA) { bestA = a; best = { kind, i }; }
+    };
+    for (let i = 0; i < this.satPool; i++) if (this._satShown[i]) test("sat", i, this._satLast[i]);
+    if (this.collisionDone) {
+      const tau = this._tauAt(st);
+      this.debrisP.forEach((d, i) => { if (this._drawn(d, tau)) test("debris", i, this._debrisPos(d, tau)); });
+    }
+    if (this.dMeshA.visible) test("danger", 0, this.dMeshA.position);
+    if (this.dMeshB.visible) test("danger", 1, this.dMeshB.position);
+    // rings only when nothing else is under the pointer, and only while they can be seen
+    if (!best) this.orbitRings.forEach((o, i) => { if (o.mat.uniforms.uOpacity.value > 0.03) o.pts.forEach(p => test("band", i, p)); });
+    return best && { ...best, name: this._pickName(best) };
+  }
+
+  /* The satellite behind a pick, or null for debris */
+  _pickSat({ kind, i }) {
+    if (kind === "sat") return this.satData[i];
+    if (kind === "danger") return [this.dA, this.dB][i];
+    return null;
+  }
+
+  /* Congestion snapshot of band i: altitude span (km), inclination (deg), period (min), how
+     many catalog objects fly it, and tracked debris per km³ in its shell */
+  _bandInfo(i, st) {
+    const o = ORBIT_DEFS[i], a = o.a * RE_KM;
+    const perigee = a * (1 - o.e) - RE_KM, apogee = a * (1 + o.e) - RE_KM;
+    const r1 = RE_KM + perigee - BAND_SHELL, r2 = RE_KM + apogee + BAND_SHELL;
+    let count = 0, debris = 0;
+    this.satData.forEach((s, k) => {
+      if (s.oi !== i) return;
+      count++;
+      if (s.type === "debris" && this._satUp[k]) debris++;
+    });
+    if (this.collisionDone) {
+      const tau = this._tauAt(st);
+      this.debrisP.forEach(d => {
+        if (!this._flying(d, tau)) return;
+        const r = this._debrisPos(d, tau).length() / KM_TO_SCENE;
+        if (r >= r1 && r <= r2) debris += d.weight;
+      });
+    }
+    return {
+      i, name: bandName(i), color: o.color, perigee, apogee,
+      inc: (o.inc * 180) / Math.PI, period: orbitPeriod(EARTH_RADIUS * o.a) / 60,
+      count, debris: Math.round(debris), density: debris / ((4 / 3) * Math.PI * (r2 ** 3 - r1 ** 3)),
+      isolated: i === this.bandSel,
+    };
+  }
+
+  _pickName(h) {
+    if (h.kind === "band") return bandName(h.i);
+    const s = this._pickSat(h);
+    return s ? satLabel(s) : `DEB-${String(h.i).padStart(4, "0")}`;
+  }
+
+  /* Position (scene units), velocity (per simulated second), elements and
+     period (simulated s) of a picked object; null for debris no longer in orbit */
+  _pickState(h, st) {
+    const s = this._pickSat(h);
+    if (s) {
+      const held = this.dMeshA.visible && (s === this.dA || s === this.dB); // drawn at the danger time
+      return { ...satState(s, held ? this._td ?? st : st), el: s, period: 2 * Math.PI * Math.sqrt(s.a ** 3 / muOf(s)) * SIM_RATE };
+    }
+    const d = this.debrisP[h.i], o = d.orbit, tau = this._tauAt(st);
+    const k = this._flying(d, tau) && decayed(o, o.M, o.n, tau - d.t0, SCENE_UNITS);
+    if (!k) return null;
+    const sv = keplerToState({ ...o, a: k.a }, k.M, k.n / SIM_RATE, o.basis);
+    return { pos: eciToScene(sv.r), vel: eciToScene(sv.v), el: { ...o, a: k.a }, period: ((2 * Math.PI) / k.n) * SIM_RATE };
+  }
+
+  /* Snapshot of a picked object for the info panel (km, km/s, deg, minutes) */
+  _pickInfo(h, st) {
+    const s = this._pickSat(h), base = { kind: h.kind, name: this._pickName(h) };
+    const ps = this._pickState(h, st);
+    if (!ps) return { ...base, id: base.name, status: "RE-ENTERED" };
+    const { pos, vel, el, period } = ps;
+    if (!s) Object.assign(base, { gen: this.debrisP[h.i].gen, mass: this.debrisP[h.i].mass });
+    const idx = s ? this.satData.indexOf(s) : -1;
+    const status = !s ? "DEBRIS"
+      : pos.equals(HIDDEN) ? "RE-ENTERED"
+      : this._goneAt(st)?.has(idx) ? "DESTROYED"
+      : s === this.dA || s === this.dB ? "DANGER"
+      : this.activeIdx.includes(idx) ? "ACTIVE" : "DIM";
+    base.id = s ? s.norad ?? s.id ?? base.name : base.name;
+    if (pos.equals(HIDDEN)) return { ...base, status };
+    const oi = s?.oi ?? nearestBand(ORBIT_DEFS, el.a);
+    return {
+      ...base, status, oi,
+      band: bandName(oi),
+      alt: pos.length() / KM_TO_SCENE - RE_KM,
+      vel: vel.length() / KM_TO_SCENE,
+      inc: (el.inc * 180) / Math.PI,
+      period: period / 60,
+    };
+  }
+
+  /* Select the hovered object (or h); a band toggles its isolation; null clears both */
+  select(h = this.hovered) {
+    if (h?.kind === "band") { this.bandSel = this.bandSel === h.i ? -1 : h.i; this._bandAt = -Infinity; return; }
+    if (!h && this.bandSel >= 0) { this.bandSel = -1; this._bandAt = -Infinity; }
+    this.selected = h;
+    this._selAt = -Infinity;
+    if (!h) this.onSelect?.(null);
+  }
+
+  _picking(t, st) {
+    const h = this._pick(st);
+    if (h?.kind !== this.hovered?.kind || h?.i !== this.hovered?.i) { this.hovered = h; this.onHover?.(h); this._bandAt = -Infinity; }
+
+    // band tooltip: hovered and isolated bands, refreshed as debris moves
+    if (t - this._bandAt > 0.25) {
+      this._bandAt = t;
+      const hover = h?.kind === "band" ? this._bandInfo(h.i, st) : null;
+      const isolated = this.bandSel >= 0 ? this._bandInfo(this.bandSel, st) : null;
+      if (hover || isolated || this._bandLive) this.onBand?.({ hover, isolated });
+      this._bandLive = !!(hover || isolated);
+    }
+
+    const sel = this.selected, m = this.selMarker;
+    if (!sel) { m.visible = false; return; }
+    const p = sel.kind === "sat" ? this._satShown[sel.i] && this._satLast[sel.i]
+      : sel.kind === "debris" ? this._flying(this.debrisP[sel.i], this._tauAt(st)) && this._debrisPos(this.debrisP[sel.i], this._tauAt(st))
+      : [this.dMeshA, this.dMeshB][sel.i].visible && [this.dMeshA, this.dMeshB][sel.i].position;
+    m.visible = !!p && this.view !== "map";
+    if (p) { m.position.copy(p); m.scale.setScalar(0.16 + 0.03 * Math.sin(t * 4)); }
+    if (t - this._selAt > 0.25) { this._selAt = t; this.onSelect?.(this._pickInfo(sel, st)); }
+  }
+
+  setPointer(x, y) { this.pointer.set(x, y); }
+
   /* ════════════════════════════════════════════════════════════════════
      MAIN LOOP
      ════════════════════════════════════════════════════════════════════ */
@@ -882,6 +2054,11 @@ class AstralEngine {
     if (this.disposed) return;
     this._raf = requestAnimationFrame(this._loop.bind(this));
     const t = this.clock.getElapsedTime();
+    // scene time: simulated seconds / SIM_RATE, so the default warp matches one scene unit per second
+    this._govern(t, t - this._wall);
+    this._dt = Math.min(t - this._wall, 0.1);
+    const st = this.simClock.tick(this._dt) / SIM_RATE;
+    this._wall = t;
     const p = this.progress;
     const p0 = smootherstep(remap(p, PHASES.P0, PHASES.P1));
     const p1 = smootherstep(remap(p, PHASES.P1, PHASES.P2));
@@ -890,23 +2067,31 @@ class AstralEngine {
     const p4 = smootherstep(remap(p, PHASES.P4, 1.0));
     const ch = p < PHASES.P1 ? 0 : p < PHASES.P2 ? 1 : p < PHASES.P3 ? 2 : p < PHASES.P4 ? 3 : 4;
 
-    this._cam(t, ch, p3);
+    this._cam(t, st, ch, p3);
     this._post(t, ch, p3, p4);
     this.starMat.uniforms.uTime.value = t; this.stars.rotation.y = t * 0.0018;
     this.nebMat.uniforms.uTime.value = t;
-    if (this.earth) this.earth.rotation.y = t * 0.028;
-    if (this.clouds) { this.clouds.rotation.y = t * 0.035; this.clouds.rotation.x = t * 0.004; }
+    // Earth turns by GMST about the scene's polar (+y) axis; the Sun comes from the ephemeris
+    const utc = this.simClock.utc, rot = gmst(utc);
+    this.sun = sunPosition(utc);
+    this.uSun.value.copy(eciToScene(this.sun.dir, 1, this._tv));
+    this.sunLight.position.copy(this.uSun.value).multiplyScalar(20);
+    if (this.earth) this.earth.rotation.y = rot;
+    if (this.clouds) { this.clouds.rotation.y = rot + t * 0.007; this.clouds.rotation.x = t * 0.004; }
     this._atmo(t, p1, ch);
     this._orbits(t, ch, p0, p1);
-    this._sats(t, ch, p0, p1, p2, p3, p4);
-    this._danger(t, ch, p3, p4);
-    this._debris(t, ch, p3, p4);
-    this._fragUpdate(t);
-    this._colLight(t, ch);
-    this.composer.render();
+    this._sats(t, st, ch, p0, p1, p2, p3, p4);
+    this._danger(t, st, ch, p3, p4);
+    this._debris(t, st);
+    this._trails(st, ch);
+    this._streaks(t);
+    this._colLight(st);
+    this._picking(t, st);
+    this._map(t, st);
+    if (this.view !== "map") this.composer.render();
   }
 
-  _cam(t, ch, p3) {
+  _cam(t, st, ch, p3) {
     const tf = FOV_MAP[ch];
     this.currentFov += (tf - this.currentFov) * 0.022;
     this.camera.fov = this.currentFov;
@@ -931,7 +2116,8 @@ class AstralEngine {
     let th = L.th, ph = L.ph, dist = L.d;
 
     if (ch === 3) {
-      const cp = this._tv.addVectors(satPos(this.dA, t), satPos(this.dB, t)).multiplyScalar(0.5);
+      const td = this._dangerT(st, p3);
+      const cp = this._tv.addVectors(satPos(this.dA, td), satPos(this.dB, td)).multiplyScalar(0.5);
       const sp = new THREE.Spherical().setFromVector3(cp);
       th = lerp(L.th, sp.theta, p3 * 0.6);
       ph = lerp(L.ph, sp.phi, p3 * 0.4);
@@ -948,29 +2134,152 @@ class AstralEngine {
     this.camSph.phi = clamp(this.camSph.phi, 0.15, Math.PI - 0.15);
 
     this.camera.position.setFromSpherical(this.camSph);
+    const look = this._camLook.set(0, 0, 0), up = this.camera.up.set(0, 1, 0);
+    this._camModes(st, look, up);
 
     // Scroll-velocity distortion (igloo.inc technique)
     const velSkew = this.scrollVelocity * 15;
     this.camera.position.y += velSkew * 0.3;
 
-    if (this._shakeOn) {
-      const el = t - this._shakeT;
-      if (el > 1.8) { this._shakeOn = false; }
-      else {
-        const env = Math.exp(-el * 3.2);
-        const a = 0.22 * env;
-        this.camera.position.x += a * (Math.sin(t * 93) * .5 + Math.sin(t * 47) * .3 + Math.sin(t * 211) * .2);
-        this.camera.position.y += a * (Math.sin(t * 78) * .45 + Math.sin(t * 34) * .35 + Math.sin(t * 157) * .2);
-      }
+    // each impact shakes on its own envelope, offset in phase so overlapping ones don't beat
+    this.collisions.forEach(ev => {
+      const el = t - ev.shakeAt;
+      if (!(el >= 0 && el <= 1.8)) return;
+      const a = 0.22 * Math.exp(-el * 3.2), u = t + ev.k * 0.37;
+      this.camera.position.x += a * (Math.sin(u * 93) * .5 + Math.sin(u * 47) * .3 + Math.sin(u * 211) * .2);
+      this.camera.position.y += a * (Math.sin(u * 78) * .45 + Math.sin(u * 34) * .35 + Math.sin(u * 157) * .2);
+    });
+    this.camera.lookAt(look);
+  }
+
+  /* Chase pose behind a moving object: back along its track, raised along
+     local vertical, looking a little ahead; up is the local vertical */
+  _chasePose(p, v) {
+    const r = p.clone().normalize(), f = v.clone().normalize();
+    return {
+      pos: p.clone().addScaledVector(f, -CHASE.back).addScaledVector(r, CHASE.up),
+      look: p.clone().addScaledVector(f, CHASE.ahead),
+      up: r,
+    };
+  }
+
+  /* Pose that keeps a and b in frame: from outside the pair, across the line joining them */
+  _pairPose(a, b) {
+    const mid = a.clone().add(b).multiplyScalar(0.5), r = mid.clone().normalize();
+    const span = b.clone().sub(a);
+    const side = span.lengthSq() > 1e-8 ? span.cross(r).normalize() : new THREE.Vector3(0, 1, 0).cross(r).normalize();
+    const fit = (a.distanceTo(b) / 2 / Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2)) * 1.6;
+    const d = Math.max(0.4, fit);
+    return { pos: mid.clone().add(r.clone().multiplyScalar(0.55).add(side.multiplyScalar(0.85)).normalize().multiplyScalar(d)), look: mid, up: r };
+  }
+
+  /* Blend follow / pair poses over the preset camera already placed; look and up are updated in place */
+  _camModes(st, look, up) {
+    // keep the last pose when a target goes away so the blend back has somewhere to start from
+    const sel = this.selected && this._pickState(this.selected, st);
+    const live = { follow: !!sel && !sel.pos.equals(HIDDEN), pair: false };
+    if (live.follow) this.camPose.follow = this._chasePose(sel.pos, sel.vel);
+    const pair = this._framedPair(st);
+    if (pair) { this.camPose.pair = this._pairPose(...pair); live.pair = true; }
+
+    let wsum = 0;
+    const pos = new THREE.Vector3(), lk = new THREE.Vector3(), u = new THREE.Vector3();
+    for (const m of ["follow", "pair"]) {
+      const on = this.camMode === m && live[m] ? 1 : 0;
+      const w = (this.camW[m] += (on - this.camW[m]) * CAM_BLEND);
+      const pose = this.camPose[m];
+      if (w < 1e-3 || !pose) continue;
+      wsum += w;
+      pos.addScaledVector(pose.pos, w); lk.addScaledVector(pose.look, w); u.addScaledVector(pose.up, w);
     }
-    this.camera.lookAt(0, 0, 0);
+    if (wsum < 1e-3) return;
+    const k = Math.min(1, wsum), rest = 1 - k;
+    this.camera.position.multiplyScalar(rest).addScaledVector(pos, k / wsum);
+    look.multiplyScalar(rest).addScaledVector(lk, k / wsum);
+    up.multiplyScalar(rest).addScaledVector(u, k / wsum).normalize();
+  }
+
+  /* The two objects the pair mode frames: the danger pair, or the latest impact site once it has gone */
+  _framedPair(st) {
+    const ev = [...this.collisions].reverse().find(e => e.bu && st >= e.t);
+    if (ev) return [ev.pt, ev.pt];
+    if (this.dMeshA.visible) return [this.dMeshA.position, this.dMeshB.position];
+    const a = satPos(this.dA, st), b = satPos(this.dB, st);
+    return a.equals(HIDDEN) || b.equals(HIDDEN) ? null : [a, b];
   }
 
+  setCameraMode(m) { this.camMode = m; }
+
   _post(t, ch, p3, p4) {
     this.bloom.strength = ch === 4 ? lerp(0.28, 0.55, p4) : ch === 3 ? lerp(0.28, 0.4, p3) : 0.28;
     this.chroma.uniforms.uO.value = ch >= 3 ? lerp(0.0005, 0.002, ch === 4 ? p4 : p3) : 0.0005;
     this.grain.uniforms.uT.value = t;
     this.grain.uniforms.uI.value = ch === 4 ? 0.07 : 0.035;
+    const f = this.finish.uniforms;
+    f.uO.value = this.chroma.uniforms.uO.value; f.uT.value = t; f.uI.value = this.grain.uniforms.uI.value;
+  }
+
+  /* ── QUALITY ──────────────────────────────────────────────────────
+     The governor averages wall frame time over GOVERNOR.window, steps down
+     a tier when frames run slow, and back up after `settle` quick windows
+     unless that tier ran slow within the last `hold` seconds. */
+
+  _govern(t, dt) {
+    const g = this._perf, q = this.quality;
+    if (t < g.since) return; // a tier change is still settling
+    if (dt > 0.25) { g.frames = 0; g.since = t; return; } // hidden tab or a stall, not load
+    g.frames++;
+    if (t - g.since < GOVERNOR.window) return;
+    const ms = ((t - g.since) * 1000) / g.frames;
+    g.fps = 1000 / ms; g.frames = 0; g.since = t;
+    if (q.auto && ms > GOVERNOR.slow && q.tier < QUALITY.length - 1) {
+      g.failed[q.tier] = t; g.quick = 0;
+      this._applyQuality(q.tier + 1);
+    } else if (q.auto && ms < GOVERNOR.fast && q.tier > 0) {
+      if (++g.quick >= GOVERNOR.settle && t - (g.failed[q.tier - 1] ?? -Infinity) >= GOVERNOR.hold) { g.quick = 0; this._applyQuality(q.tier - 1); }
+    } else g.quick = 0;
+    this._reportQuality();
+  }
+
+  _applyQuality(tier) {
+    const q = QUALITY[tier], prev = QUALITY[this.quality.tier];
+    this.quality.tier = tier;
+    const pr = Math.min(window.devicePixelRatio, q.dpr);
+    this.renderer.setPixelRatio(pr);
+    this.composer.setPixelRatio(pr);
+    this.bloom.enabled = q.post !== "plain";
+    [this.chroma, this.vig, this.grain].forEach(p => { p.enabled = q.post === "full"; });
+    this.finish.enabled = q.post !== "full";
+    this.stars.geometry.setDrawRange(0, q.stars);
+    this._debrisShare = q.debris / DEBRIS_N;
+    this.debrisField.mat.uniforms.uShare.value = this._debrisShare;
+    this.dustField.mat.uniforms.uShare.value = q.dust;
+    if (q.seg !== prev.seg) this._tessellate(q.seg);
+    this._perf.frames = 0;
+    this._perf.since = this.clock.getElapsedTime() + 1; // let the new tier settle before measuring it
+  }
+
+  /* Rebuild the procedural spheres at `seg` segments (the GLB Earth keeps its own mesh) */
+  _tessellate(seg) {
+    const swap = (mesh, r, n) => { mesh.geometry.dispose(); mesh.geometry = new THREE.SphereGeometry(r, n, n); };
+    const n = Math.round(seg * 0.75);
+    if (this.earth?.isMesh) swap(this.earth, EARTH_RADIUS, seg);
+    swap(this.clouds, EARTH_RADIUS * 1.006, n);
+    this.atmoLayers.forEach((a, i) => swap(a.mesh, EARTH_RADIUS * ATMO[i].r, n));
+  }
+
+  /* "auto" hands the tier to the governor; a tier index pins it */
+  setQuality(v) {
+    const g = this._perf, q = this.quality;
+    q.auto = v === "auto";
+    g.quick = 0; g.failed = [];
+    if (!q.auto && v !== q.tier) this._applyQuality(clamp(v, 0, QUALITY.length - 1));
+    this._reportQuality();
+  }
+
+  _reportQuality() {
+    const q = this.quality;
+    this.onQuality?.({ fps: this._perf.fps, tier: q.tier, name: QUALITY[q.tier].name, auto: q.auto });
   }
 
   _atmo(t, p1, ch) {
@@ -982,26 +2291,49 @@ class AstralEngine {
   }
 
   _orbits(t, ch, p0, p1) {
+    const hov = this.hovered?.kind === "band" ? this.hovered.i : -1;
     this.orbitRings.forEach((o, i) => {
       let target;
       if (ch === 0) target = 0.12 * p0;
       else if (ch === 1) target = 0.25;
       else if (ch === 2) target = 0.15;
       else target = 0.08;
-      
+      // hovered / isolated band stands out, the others recede while one is isolated
+      const lit = i === hov || i === this.bandSel;
+      if (lit) target = Math.max(target, 0.1) * 2.6;
+      else if (this.bandSel >= 0) target *= 0.2;
+
       o.mat.uniforms.uOpacity.value += (target - o.mat.uniforms.uOpacity.value) * 0.035;
+      o.mat.uniforms.uGlow.value += ((lit ? 0.9 : 0.3) - o.mat.uniforms.uGlow.value) * 0.1;
       o.mat.uniforms.uTime.value = t;
     });
   }
 
-  _sats(t, ch, p0, p1, p2, p3, p4) {
+  _sats(t, st, ch, p0, p1, p2, p3, p4) {
     const d = this._d, tc = this._tc;
-    const vis = ch === 0 ? 4 : ch === 1 ? Math.round(lerp(4, SAT_POOL, outExpo(remap(this.progress, PHASES.P1, PHASES.P2)))) : SAT_POOL;
-
-    for (let i = 0; i < SAT_POOL; i++) {
-      const s = this.satData[i];
-      const pos = satPos(s, t);
-      if (i < vis) {
+    const pool = this.satPool;
+    const vis = ch === 0 ? 4 : ch === 1 ? Math.round(lerp(4, pool, outExpo(remap(this.progress, PHASES.P1, PHASES.P2)))) : pool;
+    const held = ch >= 3 && this.threat && (!this.collisionDone || st < this.collisionTime) ? this.threat : null; // drawn by _danger instead
+    const gone = this._goneAt(st);
+    let tracked = 0, live = 0;
+    // the worker's frame, carried along each object's orbit to this instant while it is
+    // at most WORKER_SLACK of wall time off; inline propagation without one
+    const warp = this.simClock.paused ? 0 : Math.abs(this.simClock.warp);
+    const f = this._frame?.gen === this._satGen && Math.abs(st - this._frame.t) * SIM_RATE <= WORKER_SLACK * warp ? this._frame : null;
+    const lag = f ? (st - f.t) * SIM_RATE : 0, im = this.satInst.instanceMatrix.array;
+    if (f && !f.used) { f.used = true; this._lead = lerp(this._lead, this._wall - f.askedAt, 0.2); }
+
+    for (let i = 0; i < pool; i++) {
+      const s = this.satData[i], m = i * 16;
+      const pos = !f ? satPos(s, st) : f.mat[m + 12] === HIDDEN.x ? HIDDEN : this._carry(f, i, lag);
+      const up = !pos.equals(HIDDEN), shown = i < vis && !(held && (i === held.a || i === held.b)) && !gone?.has(i);
+      if (this._satUp[i] && !up && shown) this._burn(this._satLast[i], orbitNormal(s));
+      this._satUp[i] = up;
+      this._satShown[i] = up && shown;
+      if (up) { this._satLast[i].copy(pos); tracked++; if (!gone?.has(i)) live++; }
+      if (up && shown && f) {
+        im.set(this._carried, m);
+      } else if (up && shown) {
         d.position.copy(pos);
         d.lookAt(this._tv.set(0, 0, 0));
         d.rotation.z += s.phase * 0.5;
@@ -1012,20 +2344,31 @@ class AstralEngine {
       }
 
       const isAct = this.activeIdx.includes(i);
-      if (ch === 0) tc.set(C.satNormal);
+      if (!this._match[i] || this.bandSel >= 0 && s.oi !== this.bandSel) tc.set(C.satDim).multiplyScalar(FILTER_OUT); // filtered out or outside the isolated band
+      else if (this.filter) tc.set(CATEGORY_COLOR[this.satCat[i]]); // filtered view: matches in their category color
+      else if (ch === 0) tc.set(C.satNormal);
       else if (ch === 1) tc.set(C.satNormal).lerp(new THREE.Color("#ffbb33"), p1 * 0.65);
       else if (ch === 2) tc.set(isAct ? C.satActive : C.satDim);
       else tc.set(isAct ? C.satActive : C.satDim).lerp(new THREE.Color("#444466"), ch >= 3 ? p3 * 0.45 : 0);
+      if (up) tc.multiplyScalar(lerp(ECLIPSE_DIM, 1, sunlit(sceneToEci(pos, 1 / KM_TO_SCENE), this.sun)));
       this.satInst.setColorAt(i, tc);
     }
     this.satInst.instanceMatrix.needsUpdate = true;
     if (this.satInst.instanceColor) this.satInst.instanceColor.needsUpdate = true;
+    this._askFrame(st);
+
+    // re-entered objects leave the counts
+    if (this.screening && tracked !== this.screening.tracked) {
+      this.screening = { ...this.screening, tracked };
+      this.onScreening?.(this.screening);
+    }
+    if (this.cascade && live !== this.cascade.live) { this.cascade.live = live; this._reportCascade(); }
 
     const sa = ch === 2 || ch === 3;
-    this.activeIdx.forEach((si, ai) => {
-      const pos = satPos(this.satData[si], t);
-      const m = this.actMeshes[ai], sp = this.actSprites[ai];
-      if (sa) {
+    this.actMeshes.forEach((m, ai) => {
+      const si = this.activeIdx[ai], sp = this.actSprites[ai];
+      if (sa && si !== undefined) {
+        const pos = satPos(this.satData[si], st);
         const pulse = 0.7 + 0.3 * Math.sin(t * 2.5 + ai * 0.8);
         const alpha = ch === 2 ? clamp(p2 * 3) : clamp(1 - p3 * 2);
         m.visible = true; m.position.copy(pos); m.lookAt(0, 0, 0);
@@ -1035,36 +2378,64 @@ class AstralEngine {
     });
   }
 
-  _danger(t, ch, p3, p4) {
+  _danger(t, st, ch, p3, p4) {
     if (ch < 3) {
       this.dMeshA.visible = false; this.dMeshB.visible = false;
       this.dGlowA.visible = false; this.dGlowB.visible = false;
       this.dRingMatA.uniforms.uOpacity.value = 0;
       this.dRingMatB.uniforms.uOpacity.value = 0;
+      this._scriptTca = null;
       if (this.collisionDone) {
         this.collisionDone = false;
-        this.frags.forEach(fl => fl.forEach(f => { f.mesh.visible = false; f.mat.opacity = 0; }));
+        this.frags.forEach(fl => fl.forEach(f => { f.active = false; f.mesh.visible = false; f.mat.opacity = 0; }));
+        this.debrisP.forEach(d => { d.active = false; });
+        fieldClear(this.debrisField); fieldClear(this.dustField);
+        this.dust = [];
+        this._unstageCollisions();
+        this.cascade = null;
+        this.onCascade?.(null);
       }
+      this._dangerCh = ch;
       return;
     }
 
     this.dRingMatA.uniforms.uTime.value = t;
     this.dRingMatB.uniforms.uTime.value = t;
 
-    const pA = satPos(this.dA, t), pB = satPos(this.dB, t);
+    // Once the collision is recorded everything is a function of the clock:
+    // scrolling back into phase 03 eases it toward the danger time, which
+    // rewinds the explosion, and scrolling on replays it from the impact.
+    const c = this.cascade;
+    if (c && ch === 3) this.simClock.seek(lerp(st, this._dangerT(st, p3), 1 - Math.exp(-this._dt * 4)) * SIM_RATE);
+    else if (c && ch === 4 && this._dangerCh === 3 && st < c.impactT) this.simClock.seek(c.impactT * SIM_RATE);
+    this._dangerCh = ch;
+
+    // the recorded pair flies on the clock, so it is back whenever the clock is before the impact
+    const td = this._td = c ? st : this._dangerT(st, p3);
+    const pA = satPos(this.dA, td), pB = satPos(this.dB, td);
+
+    if (!c && ch === 4) {
+      // COLLISION
+      // the clock jumps to the moment of impact so the rest of the sky, Earth and Sun agree with it
+      this.collisionDone = true;
+      this.collisionTime = td;
+      this.simClock.seek(td * SIM_RATE);
 
-    if (ch === 3 && !this.collisionDone) {
+      this.dMeshA.visible = false; this.dMeshB.visible = false;
+      this.dGlowA.visible = false; this.dGlowB.visible = false;
+
+      this._startCascade(td);
+      this._stageCollisions(td);
+      this._collide(this.collisions[0]);
+
+    } else if (!c || td < c.impactT) {
       this.dMeshA.visible = true; this.dMeshB.visible = true;
       this.dGlowA.visible = true; this.dGlowB.visible = true;
 
-      // Satellites on their orbits, converging
-      const mid = this._tv.addVectors(pA, pB).multiplyScalar(0.5);
-      const aA = pA.clone().lerp(mid, p3 * 0.88);
-      const aB = pB.clone().lerp(mid, p3 * 0.88);
-
-      this.dMeshA.position.copy(aA); this.dMeshA.lookAt(0, 0, 0);
-      this.dMeshB.position.copy(aB); this.dMeshB.lookAt(0, 0, 0);
-      this.dGlowA.position.copy(aA); this.dGlowB.position.copy(aB);
+      // Satellites on their orbits, converging on the TCA
+      this.dMeshA.position.copy(pA); this.dMeshA.lookAt(0, 0, 0);
+      this.dMeshB.position.copy(pB); this.dMeshB.lookAt(0, 0, 0);
+      this.dGlowA.position.copy(pA); this.dGlowB.position.copy(pB);
 
       const freq = 4 + p3 * 18;
       const pulse = 0.5 + 0.5 * Math.sin(t * freq);
@@ -1079,114 +2450,344 @@ class AstralEngine {
       this.dRingMatA.uniforms.uOpacity.value = p3 * 0.45 * pulse;
       this.dRingMatB.uniforms.uOpacity.value = p3 * 0.45 * pulse;
 
-    } else if (ch === 4 && !this.collisionDone) {
-      // COLLISION
-      this.collisionDone = true;
-      this.collisionTime = t;
-      this.collisionPt.copy(this._tv.addVectors(pA, pB).multiplyScalar(0.5));
-      this.collisionR = this.collisionPt.length();
-
+    } else {
       this.dMeshA.visible = false; this.dMeshB.visible = false;
       this.dGlowA.visible = false; this.dGlowB.visible = false;
+      this.dRingMatA.uniforms.uOpacity.value *= 0.98;
+      this.dRingMatB.uniforms.uOpacity.value *= 0.98;
+    }
+  }
 
-      // Spawn fragments
-      const rng = prng(999);
-      this.frags.forEach((fl, si) => {
-        fl.forEach(f => {
-          f.pos.copy(this.collisionPt).add(new THREE.Vector3((rng() - .5) * .04, (rng() - .5) * .04, (rng() - .5) * .04));
-          const tan = new THREE.Vector3().crossVectors(f.pos.clone().normalize(), new THREE.Vector3(0, 1, 0)).normalize();
-          f.vel.copy(tan).multiplyScalar(1.8 + rng() * 3.5).add(new THREE.Vector3((rng() - .5) * 1.2, (rng() - .5) * 1.2, (rng() - .5) * 1.2));
-          f.mesh.visible = true; f.mat.opacity = 1; f.mat.emissiveIntensity = 3.0; f.life = 1;
-        });
-      });
+  /* ── KESSLER CASCADE ──────────────────────────────────────────────
+     Runs on its own clock (scene seconds since the first impact) in fixed
+     steps, so a given seed always replays the same sequence of events.
+     The steps only ever extend a record: every fragment keeps its release,
+     burn-up and hit times and every destroyed object the time it went, so
+     what is shown at any moment is read off the record and the clock can
+     run back through it and forward again. */
+
+  _startCascade(impactT) {
+    this.cascade = {
+      seed: this.seed, rng: prng(this.seed), tau: 0, impactT,
+      events: [], destroyed: new Map(), reported: "",
+      // worker requests: the one in flight, how far to record, what it has been sent
+      id: ++this._cascadeId, asked: false, want: 0, sent: new Map(), told: 0,
+    };
+    this._tauLast = -Infinity;
+  }
 
-      // Trigger debris spread in orbital shell
-      const dr = prng(1234);
-      this.debrisP.forEach(d => {
-        d.pos.copy(this.collisionPt).add(new THREE.Vector3((dr() - .5) * .08, (dr() - .5) * .08, (dr() - .5) * .08));
-        const up = d.pos.clone().normalize();
-        const tan = new THREE.Vector3().crossVectors(up, new THREE.Vector3(dr() - .5, dr() - .5, dr() - .5)).normalize();
-        d.vel.copy(tan).multiplyScalar(1.2 + dr() * 4.5).add(up.multiplyScalar((dr() - .5) * .6));
-        d.active = true;
-        d.col.setHSL(0.02 + dr() * 0.06, 0.95, 0.3 + dr() * 0.35);
+  /* Time since the first impact that debris is drawn at: the clock's, held
+     at the end of the record while it is still being extended */
+  _tauAt(st) {
+    const tau = st - this.collisionTime;
+    return this.cascade ? Math.min(tau, this.cascade.tau) : tau;
+  }
+
+  /* Whether a debris particle or fragment mesh is in orbit tau scene seconds after the first impact */
+  _flying(d, tau) { return d.active && tau >= d.t0 && tau < Math.min(d.t1, d.hit); }
+
+  /* Flying and inside the share of particles the quality tier draws */
+  _drawn(d, tau) { return d.keep < this._debrisShare && this._flying(d, tau); }
+
+  /* Catalog indices the cascade has destroyed by scene time st, as a set-like, or null */
+  _goneAt(st) {
+    const c = this.cascade;
+    if (!c) return null;
+    const tau = this._tauAt(st);
+    return { has: i => c.destroyed.get(i) <= tau };
+  }
+
+  /* The collision timeline: the phase 04 pair at T0, then each
+     COLLISION_TIMELINE pair, which joins the catalog on orbits that cross at
+     its own time. Every event owns a slice of the debris pool that its
+     fragments, and the breakups they go on to cause, are drawn from. */
+  _stageCollisions(T0) {
+    const rng = prng(this.seed + 17), staged = [];
+    const events = [{ a: this.dA, b: this.dB, ia: this.threat?.a ?? -1, ib: this.threat?.b ?? -1, t: T0, name: `${satLabel(this.dA)} × ${satLabel(this.dB)}`, date: null }];
+    COLLISION_TIMELINE.slice(0, COLLISION_MAX - 1).forEach(h => {
+      const t = T0 + h.after / SIM_RATE;
+      const x = crossingOrbits({ alt: h.alt, incA: h.a.inc, incB: h.b.inc, vRel: h.vRel, raan0: rng() * 2 * Math.PI });
+      const [a, b] = [[h.a, x.raanA, x.uA], [h.b, x.raanB, x.uB]].map(([o, raan, u]) => {
+        const sa = x.a * KM_TO_SCENE, speed = orbitRate(sa);
+        const s = {
+          id: this.satData.length + staged.length, oi: nearestBand(ORBIT_DEFS, sa), name: o.name,
+          type: "payload", active: !!o.active, event: events.length,
+          a: sa, e: 0, inc: o.inc, raan, argp: 0, phase: u - speed * t, speed,
+          ...satSize(rng), mass: o.mass,
+        };
+        s.drag = orbitDrag(s, SAT_AM, speed);
+        staged.push(s);
+        return s;
       });
+      events.push({ a, b, ia: a.id, ib: b.id, t, name: h.name, date: h.date });
+    });
+    if (staged.length) {
+      this._setSatData([...this.satData, ...staged]);
+      this._fitInstances();
+    }
+    this.collisions = events.map((ev, k) => ({
+      ...ev, k, done: false, bu: null, pt: new THREE.Vector3(), shakeAt: -Infinity,
+      energy: impactEnergy({ m1: ev.a.mass, m2: ev.b.mass, vRel: impactSpeed(ev.a, ev.b, ev.t) }),
+      from: k * DEBRIS_POOL, to: (k + 1) * DEBRIS_POOL, cursor: k * DEBRIS_POOL,
+      light: this.colLights[k], flash: this.flashDivs[k],
+    }));
+  }
 
-      this._shakeOn = true; this._shakeT = t;
-      this.flashDiv.style.transition = "opacity 0.04s"; this.flashDiv.style.opacity = "1";
-      setTimeout(() => { this.flashDiv.style.transition = "opacity 1.2s ease-out"; this.flashDiv.style.opacity = "0"; }, 70);
+  /* Drop the timeline and the catalog entries it staged */
+  _unstageCollisions() {
+    this.collisions = [];
+    const keep = this.satData.filter(s => s.event === undefined);
+    if (keep.length === this.satData.length) return;
+    if (this.selected?.kind === "sat" && this.selected.i >= keep.length) this.select(null);
+    this._setSatData(keep);
+    this._fitInstances();
+    // a screening run while they flew may point at them
+    if (this.conjunctions?.some(c => Math.max(c.a, c.b) >= keep.length)) this.screen();
+  }
 
-    } else if (ch === 4 && this.collisionDone) {
-      this.dMeshA.visible = false; this.dMeshB.visible = false;
-      this.dGlowA.visible = false; this.dGlowB.visible = false;
-      this.dRingMatA.uniforms.uOpacity.value *= 0.98;
-      this.dRingMatB.uniforms.uOpacity.value *= 0.98;
+  /* Record timeline event ev: its pair breaks up into the event's own pool.
+     A pair the cascade has already hit is left as it is. Flash, shake and
+     light follow the clock through the record (_debris, _colLight). */
+  _collide(ev) {
+    const c = this.cascade, tau = ev.t - c.impactT;
+    ev.done = true;
+    if (c.destroyed.has(ev.ia) || c.destroyed.has(ev.ib)) return;
+    [ev.ia, ev.ib].forEach(i => { if (i >= 0) c.destroyed.set(i, tau); });
+    ev.pt.addVectors(satPos(ev.a, ev.t), satPos(ev.b, ev.t)).multiplyScalar(0.5);
+    const bu = ev.bu = this._breakupAt([ev.a, ev.b], ev.t, ev.pt, 1, tau, ev);
+    ev.energy = bu.energy;
+    c.events.push({
+      gen: 1, tau, sim: tau * SIM_RATE, target: ev.name,
+      catastrophic: bu.catastrophic, energy: bu.energy, fragments: bu.count, lifetime: bu.lifetime,
+    });
+  }
+
+  /* Break up `objs` (two satellites, or a satellite and a debris particle)
+     at world time T. The largest pieces of the phase 04 breakup become
+     fragment meshes; everything else is released into free slots of event
+     ev's pool on its own orbit (parent velocity plus its ejection delta-v). */
+  _breakupAt(objs, T, pos, gen, tau, ev) {
+    const c = this.cascade, rng = c.rng;
+    const parents = objs.map(o => {
+      if (!o.orbit) return { vel: satState(o, T).vel.multiplyScalar(SIM_RATE), mu: muOf(o), mass: o.mass };
+      const k = decayed(o.orbit, o.orbit.M, o.orbit.n, tau - o.t0, SCENE_UNITS);
+      return { vel: eciToScene(keplerToState({ ...o.orbit, a: k.a }, k.M, k.n, o.orbit.basis).v), mu: o.orbit.mu, mass: o.mass };
+    });
+    const vRel = parents[0].vel.distanceTo(parents[1].vel) / (KM_TO_SCENE * SIM_RATE);
+    const primary = gen === 1, nf = primary && ev.k === 0 ? this.frags[0].length * 2 : 0;
+    const bu = breakup({ m1: parents[0].mass, m2: parents[1].mass, vRel }, rng, { maxFragments: DEBRIS_N + nf });
+    const sizeK = L => clamp(Math.log10(L / BREAKUP.lcMin));
+    // fragments inherit the heavier parent's motion unless both were satellites
+    const from = i => primary ? parents[i % 2] : parents[0].mass >= parents[1].mass ? parents[0] : parents[1];
+    const dvK = KM_TO_SCENE * SIM_RATE * DV_GAIN;
+    const release = (fr, p, at) => fragmentOrbit(at, this._tv2.set(...fr.dv).multiplyScalar(dvK).add(p.vel), p.mu, fr.am);
+    const jitter = k => new THREE.Vector3((rng() - .5) * k, (rng() - .5) * k, (rng() - .5) * k);
+
+    const pieces = bu.fragments;
+    const weight = bu.count / Math.max(1, pieces.length); // catalogued objects each drawn piece stands for
+    if (nf) {
+      this.frags.forEach((fl, si) => fl.forEach((f, i) => {
+        const fr = pieces[i * 2 + si];
+        f.pos.copy(pos).add(jitter(.04));
+        f.orbit = fr && release(fr, parents[si], f.pos);
+        f.active = !!f.orbit;
+        if (!f.active) return;
+        f.mesh.scale.setScalar(0.6 + sizeK(fr.L) * 1.6);
+        f.t0 = tau; f.t1 = tau + reentryAt(f.orbit); f.hit = Infinity; f.weight = weight;
+      }));
+    }
+
+    let k = 0;
+    for (let i = nf; i < pieces.length; i++) {
+      while (ev.cursor < ev.to && this.debrisP[ev.cursor].active) ev.cursor++;
+      if (ev.cursor >= ev.to) break;
+      const d = this.debrisP[ev.cursor], fr = pieces[i];
+      d.pos.copy(pos).add(jitter(.02));
+      d.orbit = release(fr, from(k++), d.pos);
+      if (!d.orbit) continue;
+      d.t0 = tau; d.t1 = tau + reentryAt(d.orbit); d.hit = Infinity;
+      d.mass = fr.mass; d.gen = gen; d.weight = weight; d.ev = ev;
+      d.life = sizeK(fr.L);
+      d.active = true; d.at = NaN;
+      d.col.setHSL(0.02 + rng() * 0.06, 0.95, 0.3 + rng() * 0.35);
+      fieldWrite(this.debrisField, d.i, d.orbit, d.t0, d.t1, d.life, d.col, d.keep);
     }
+    if (primary) this._dustCloud(ev, parents, pos, tau, vRel);
+    // median fragment decays from the breakup altitude; Infinity above the drag model's reach
+    const am = pieces.map(fr => fr.am).sort((x, y) => x - y)[pieces.length >> 1];
+    bu.lifetime = am ? lifetime(pos.length() / KM_TO_SCENE - RE_KM, am) : Infinity;
+    return bu;
   }
 
-  _debris(t, ch, p3, p4) {
-    const pb = this.debrisGeo.attributes.position.array;
-    const sb = this.debrisGeo.attributes.pSize.array;
-    const cb = this.debrisGeo.attributes.pColor.array;
-
-    if (ch >= 4 && this.collisionDone) {
-      const dt = Math.max(0, t - this.collisionTime);
-      this.debrisP.forEach((d, i) => {
-        if (!d.active) { pb[i * 3] = 9999; pb[i * 3 + 1] = 9999; pb[i * 3 + 2] = 9999; return; }
-        const decay = Math.exp(-dt * 0.12);
-        d.pos.x += d.vel.x * decay * 0.01; d.pos.y += d.vel.y * decay * 0.01; d.pos.z += d.vel.z * decay * 0.01;
-        const len = d.pos.length();
-        if (len > this.collisionR * 1.18) d.pos.setLength(this.collisionR * 1.18);
-        if (len < this.collisionR * 0.85) d.pos.setLength(this.collisionR * 0.85);
-        if (len < EARTH_RADIUS * 1.03) d.pos.setLength(EARTH_RADIUS * 1.03);
-        const drift = 0.035 + d.life * 0.05;
-        d.pos.x += Math.sin(t * drift + i * 0.031) * 0.0025;
-        d.pos.z += Math.cos(t * drift + i * 0.7) * 0.0025;
-
-        pb[i * 3] = d.pos.x; pb[i * 3 + 1] = d.pos.y; pb[i * 3 + 2] = d.pos.z;
-        const cool = clamp(1 - dt * 0.018, 0.2, 1);
-        sb[i] = (4.0 + d.life * 5.5) * cool * (0.8 + 0.2 * Math.sin(t * 5 + i * 1.1));
-        const hot = clamp(1 - dt * 0.03, 0.1, 1);
-        cb[i * 3] = d.col.r * (0.45 + 0.55 * hot); cb[i * 3 + 1] = d.col.g * hot * 0.5; cb[i * 3 + 2] = d.col.b * hot * 0.15;
-      });
-      this.debrisGeo.attributes.position.needsUpdate = true;
-      this.debrisGeo.attributes.pSize.needsUpdate = true;
-      this.debrisGeo.attributes.pColor.needsUpdate = true;
-      this.kesslerMat.uniforms.uOp.value = clamp(p4 * 2.0, 0, 0.8);
-      this.kesslerMat.uniforms.uTime.value = t;
-    } else {
-      for (let i = 0; i < DEBRIS_N; i++) { pb[i * 3] = 9999; pb[i * 3 + 1] = 9999; pb[i * 3 + 2] = 9999; }
-      this.debrisGeo.attributes.position.needsUpdate = true;
-      this.kesslerMat.uniforms.uOp.value = 0;
+  /* Extend the record towards the current frame, one fixed step at a time;
+     timeline events fire ahead of the step they fall in. Inline at most
+     CASCADE.batch steps a frame; with a worker the steps run there, a little
+     ahead of the clock. Either way debris is drawn at the record's end
+     (_tauAt) on the frames it falls behind, after a seek or at high warp. */
+  _cascade(st) {
+    const c = this.cascade, step = CASCADE.step;
+    const tau = st - this.collisionTime;
+    if (this.worker) {
+      const warp = this.simClock.paused ? 0 : Math.max(0, this.simClock.warp);
+      c.want = tau + (warp * CASCADE.ahead) / SIM_RATE;
+      this._askCascade();
+      return;
+    }
+    for (let n = 0; c.tau < tau && n < CASCADE.batch; n++) {
+      this._fire(c.tau);
+      this._applyHits(c.tau, cascadeStep(this.satData, c.destroyed, this.debrisP, c.impactT, c.tau, c.tau + step, CASCADE.hitRadius, SCENE_UNITS));
+      c.tau += step;
     }
   }
 
-  _fragUpdate(t) {
+  /* Fire the timeline events that fall in the step starting at a */
+  _fire(a) {
+    const c = this.cascade;
+    this.collisions.forEach(ev => { if (!ev.done && ev.t - c.impactT < a + CASCADE.step) this._collide(ev); });
+  }
+
+  /* Ask the worker to extend the record towards c.want, sending it the
+     fragments, hits and losses it has not seen yet. It stops short of the
+     next timeline event, which fires here when the record reaches it. */
+  _askCascade() {
+    const c = this.cascade;
+    if (c.asked || c.tau >= c.want) return;
+    this._fire(c.tau);
+    const stop = this.collisions.reduce((m, ev) => ev.done ? m : Math.min(m, ev.t - c.impactT), Infinity);
+    const add = [], hits = [];
+    this.debrisP.forEach(d => {
+      if (!d.active || c.sent.get(d.i) === d.hit) return;
+      if (c.sent.has(d.i)) hits.push([d.i, d.hit]); else add.push([d.i, d.orbit, d.t0, d.hit]);
+      c.sent.set(d.i, d.hit);
+    });
+    const destroyed = [...c.destroyed].slice(c.told);
+    c.told = c.destroyed.size;
+    this.worker.postMessage({
+      type: "cascade", gen: this._satGen, id: c.id, impactT: c.impactT, from: c.tau, to: c.want, stop,
+      step: CASCADE.step, max: CASCADE.batch, radius: CASCADE.hitRadius, add, hits, destroyed,
+    });
+    c.asked = true;
+  }
+
+  /* Record the hits of the step starting at a, in step order: a target
+     already destroyed, or a fragment already spent, earlier in the step
+     takes no further part */
+  _applyHits(a, hits) {
+    const c = this.cascade, b = a + CASCADE.step;
+    hits.forEach(h => {
+      const si = h.target, d = this.debrisP[h.debris], s = this.satData[si];
+      const tau = a + h.s * (b - a);
+      if (c.destroyed.has(si) || d.hit <= tau || !fragmentPos(d.orbit, tau - d.t0, this._tv)) return;
+      const pos = satPos(s, c.impactT + tau);
+      d.hit = tau;
+      fieldEnd(this.debrisField, d.i, tau);
+      const bu = this._breakupAt([s, d], c.impactT + tau, pos, d.gen + 1, tau, d.ev);
+      if (bu.catastrophic) c.destroyed.set(si, tau);
+      c.events.push({
+        gen: d.gen + 1, tau, sim: tau * SIM_RATE, target: satLabel(s),
+        catastrophic: bu.catastrophic, energy: bu.energy, fragments: bu.count, lifetime: bu.lifetime,
+      });
+    });
+  }
+
+  /* Cascade readout as of tau; only sent when it changes */
+  _reportCascade(tau) {
+    const c = this.cascade, events = c.events.filter(e => e.tau <= tau);
+    let burnt = 0, lost = 0;
+    const count = o => { if (o.active && o.t1 <= tau && o.t1 < o.hit) burnt += o.weight; };
+    this.debrisP.forEach(count);
+    this.frags.forEach(fl => fl.forEach(count));
+    c.destroyed.forEach(k => { if (k <= tau) lost++; });
+    const objects = this.satData.length - lost + Math.round(events.reduce((n, e) => n + e.fragments, 0) - burnt);
+    const key = `${events.length}:${objects}`;
+    if (key === c.reported) return;
+    c.reported = key;
+    this.onCascade?.({
+      seed: c.seed, events,
+      collisions: events.length,
+      generation: events.reduce((g, e) => Math.max(g, e.gen), 0),
+      objects,
+      timeline: this.collisions.map(ev => ({ name: ev.name, date: ev.date, sim: (ev.t - c.impactT) * SIM_RATE, energy: ev.energy, fired: !!ev.bu && ev.t <= c.impactT + tau })),
+    });
+  }
+
+  _debris(t, st) {
+    const fields = [this.debrisField, this.dustField];
+    fields.forEach(f => { f.points.visible = this.collisionDone; });
     if (!this.collisionDone) return;
-    const dt = Math.max(0, t - this.collisionTime);
+    this._cascade(st);
+    this._dustRelease();
+    const c = this.cascade, tau = this._tauAt(st), last = this._tauLast;
+    // burns up as the clock passes its re-entry going forward, just short of which it is still in orbit
+    this.debrisP.forEach(d => {
+      if (d.active && d.keep < this._debrisShare && last < d.t1 && tau >= d.t1 && d.t1 < d.hit) this._burn(this._debrisPos(d, d.t1 - 1e-6), orbitNormal(d.orbit));
+    });
+    fields.forEach(f => { f.mat.uniforms.uTau.value = tau; f.mat.uniforms.uT.value = t; fieldFlush(f); });
+    this._fragUpdate(tau);
+    // flash and shake as the clock passes an impact going forward, the first time and on every replay
+    this.collisions.forEach(ev => {
+      const at = ev.t - c.impactT;
+      if (ev.bu && last < at && tau >= at) { ev.shakeAt = t; this._flash(ev); }
+    });
+    this._reportCascade(tau);
+    this._tauLast = tau;
+  }
+
+  /* Queue the untracked cloud of a timeline event: fragments from DUST_LC up
+     to the tracked size, drawn on their own generator so the cascade's draws
+     are the same with or without it */
+  _dustCloud(ev, parents, pos, tau, vRel) {
+    const rng = prng(this.cascade.seed + 31 * (ev.k + 1));
+    const bu = breakup({ m1: parents[0].mass, m2: parents[1].mass, vRel }, rng, { lcMin: DUST_LC, maxFragments: DUST_POOL });
+    const pieces = bu.fragments.filter(fr => fr.L < BREAKUP.lcMin);
+    this.dust.push({ rng, parents, pos: pos.clone(), tau, pieces, next: 0, slot: ev.k * DUST_POOL });
+  }
+
+  /* Release the next DUST_BATCH queued untracked fragments; each flies from
+     the impact time however many frames later it is written */
+  _dustRelease() {
+    const q = this.dust[0];
+    if (!q) return;
+    const dvK = KM_TO_SCENE * SIM_RATE * DV_GAIN, rng = q.rng, col = this._dustCol;
+    for (const end = Math.min(q.next + DUST_BATCH, q.pieces.length); q.next < end; q.next++) {
+      const fr = q.pieces[q.next], p = q.parents[q.next % 2];
+      this._tv.set((rng() - .5) * .02, (rng() - .5) * .02, (rng() - .5) * .02).add(q.pos);
+      const o = fragmentOrbit(this._tv, this._tv2.set(...fr.dv).multiplyScalar(dvK).add(p.vel), p.mu, fr.am);
+      col.setHSL(0.02 + rng() * 0.06, 0.9, 0.2 + rng() * 0.25);
+      const keep = rng();
+      if (o) fieldWrite(this.dustField, q.slot + q.next, o, q.tau, q.tau + reentryAt(o), 0, col, keep);
+    }
+    if (q.next >= q.pieces.length) this.dust.shift();
+  }
+
+  /* Fragment meshes, posed and cooled from the time since their release */
+  _fragUpdate(tau) {
     this.frags.forEach(fl => fl.forEach(f => {
-      if (!f.mesh.visible) return;
-      const decay = Math.exp(-dt * 0.25);
-      f.pos.x += f.vel.x * decay * 0.008; f.pos.y += f.vel.y * decay * 0.008; f.pos.z += f.vel.z * decay * 0.008;
-      const len = f.pos.length();
-      if (len > this.collisionR * 1.35) f.pos.setLength(this.collisionR * 1.35);
-      if (len < EARTH_RADIUS * 1.01) f.pos.setLength(EARTH_RADIUS * 1.01);
+      const dt = tau - f.t0;
+      f.life = clamp(1 - dt * 0.1, 0, 1);
+      if (!this._flying(f, tau) || f.life < 0.005) {
+        if (f.active && this._tauLast < f.t1 && tau >= f.t1) this._burn(f.pos, orbitNormal(f.orbit));
+        f.mesh.visible = false;
+        return;
+      }
+      fragmentPos(f.orbit, dt, f.pos);
+      f.mesh.visible = true;
       f.mesh.position.copy(f.pos);
-      f.mesh.rotateOnAxis(f.rotAxis, f.rotSpd * 0.014);
-      f.life = Math.max(0, 1 - dt * 0.1);
+      f.mesh.quaternion.setFromAxisAngle(f.rotAxis, f.rotSpd * dt * 0.84);
       f.mat.opacity = f.life;
       f.mat.emissiveIntensity = 3.0 * f.life;
       const hot = clamp(1 - dt * 0.06, 0, 1);
       f.mat.color.setHSL(0.03 + (1 - hot) * 0.02, 0.9, 0.18 + hot * 0.45);
       f.mat.emissive.setHSL(0.02, 1, hot * 0.45);
-      if (f.life < 0.005) f.mesh.visible = false;
     }));
   }
 
-  _colLight(t, ch) {
-    if (ch === 4 && this.collisionDone) {
-      this.colLight.intensity = Math.max(0, 22 * Math.exp(-(t - this.collisionTime) * 1.8));
-      this.colLight.position.copy(this.collisionPt);
-    } else { this.colLight.intensity = 0; }
+  _colLight(st) {
+    this.colLights.forEach((l, k) => {
+      const ev = this.collisions[k], dt = ev?.bu ? st - ev.t : -1;
+      l.intensity = dt >= 0 ? 22 * Math.exp(-dt * 1.8) : 0;
+      if (l.intensity) l.position.copy(ev.pt);
+    });
   }
 
   setProgress(p) { this.progress = p; }
@@ -1196,9 +2797,34 @@ class AstralEngine {
   setDragDelta(dx, dy) { this.dragDX = dx; this.dragDY = dy; }
   setScrollVelocity(v) { this.scrollVelocity = v; }
 
+  /* Back from a context loss. three re-uploads geometry and textures from
+     their CPU copies on first use, so the scene stands as it was; the post
+     chain's render targets are rebuilt at the current tier and the wall
+     clock restarts so the gap is not simulated. */
+  _restore() {
+    if (this.disposed) return;
+    this._disposePost();
+    this._initPost();
+    this._applyQuality(this.quality.tier);
+    this._wall = this.clock.getElapsedTime();
+    this._raf = requestAnimationFrame(this._loop.bind(this));
+  }
+
+  _disposePost() {
+    this.composer.passes.forEach(p => p.dispose());
+    this.composer.dispose();
+  }
+
   dispose() {
-    this.disposed = true; cancelAnimationFrame(this._raf); this.renderer.dispose(); this._ro.disconnect();
-    if (this.flashDiv?.parentNode) this.flashDiv.parentNode.removeChild(this.flashDiv);
+    this.disposed = true; cancelAnimationFrame(this._raf); this._ro.disconnect();
+    this.canvas.removeEventListener("webglcontextlost", this._onLost);
+    this.canvas.removeEventListener("webglcontextrestored", this._onRestored);
+    this.worker?.terminate();
+    new Set([...gpuResources(this.scene), ...this.owned]).forEach(r => r.dispose());
+    this._disposePost();
+    this.renderer.dispose();
+    this.flashDivs?.forEach(d => d.parentNode?.removeChild(d));
+    if (this.mapCanvas?.parentNode) this.mapCanvas.parentNode.removeChild(this.mapCanvas);
   }
 }
 
@@ -1206,14 +2832,65 @@ class AstralEngine {
    §9 THREE CANVAS
    ═══════════════════════════════════════════════════════════════════════════ */
 
-function ThreeCanvas({ progressRef, mouseRef, scrollingRef, dragRef, isDownRef, velocityRef }) {
+function ThreeCanvas({ progressRef, mouseRef, pointerRef, scrollingRef, dragRef, isDownRef, velocityRef, clockRef, engineApi, view, camMode, filter, trails, catalogUrl, seed, quality, onCatalog, onScreening, onCascade, onHover, onSelect, onFilter, onBand, onQuality }) {
   const canvasRef = useRef(null);
   const engineRef = useRef(null);
+  const [dropping, setDropping] = useState(false);
 
   useEffect(() => {
     if (!canvasRef.current) return;
-    engineRef.current = new AstralEngine(canvasRef.current);
-    return () => engineRef.current?.dispose();
+    const engine = new AstralEngine(canvasRef.current, { seed, onCatalog, onScreening, onCascade, onHover, onSelect, onFilter, onBand, onQuality });
+    engineRef.current = engine;
+    clockRef.current = engine.simClock;
+    engineApi.current = engine;
+    // the procedural shells are the default population; a ?catalog= file (e.g. the bundled
+    // /catalog.tle) replaces them once it parses, and they stay if it cannot be fetched or parsed
+    if (catalogUrl) {
+      fetch(catalogUrl)
+        .then(r => r.ok ? r.text() : Promise.reject(new Error(`HTTP ${r.status}`)))
+        .then(text => { if (!engine.disposed) engine.loadCatalog(text, catalogUrl); })
+        .catch(err => { if (!engine.disposed) onCatalog?.({ source: catalogUrl, count: 0, errors: [{ line: 0, message: err.message }] }); });
+    }
+    return () => engine.dispose();
+  }, [catalogUrl, seed, clockRef, engineApi, onCatalog, onScreening, onCascade, onHover, onSelect, onFilter, onBand, onQuality]);
+
+  useEffect(() => { engineRef.current?.setView(view); }, [view, catalogUrl, seed]);
+  useEffect(() => { engineRef.current?.setCameraMode(camMode); }, [camMode, catalogUrl, seed]);
+  useEffect(() => { engineRef.current?.setFilter(filter); }, [filter, catalogUrl, seed]);
+  useEffect(() => { engineRef.current?.setTrails(trails); }, [trails, catalogUrl, seed]);
+  useEffect(() => { engineRef.current?.setQuality(quality); }, [quality, catalogUrl, seed]);
+
+  // A click on the scene (not a drag) selects whatever is under the pointer; Escape clears
+  useEffect(() => {
+    const down = { x: 0, y: 0 };
+    const md = e => { down.x = e.clientX; down.y = e.clientY; };
+    const click = e => { if (e.target === canvasRef.current && Math.hypot(e.clientX - down.x, e.clientY - down.y) < 5) engineRef.current?.select(); };
+    const key = e => { if (e.key === "Escape") engineRef.current?.select(null); };
+    window.addEventListener("mousedown", md);
+    window.addEventListener("click", click);
+    window.addEventListener("keydown", key);
+    return () => { window.removeEventListener("mousedown", md); window.removeEventListener("click", click); window.removeEventListener("keydown", key); };
+  }, []);
+
+  // TLE / 3LE files dropped anywhere on the page replace the catalog
+  useEffect(() => {
+    let depth = 0;
+    const isFile = e => e.dataTransfer?.types?.includes("Files");
+    const enter = e => { if (isFile(e)) { depth++; setDropping(true); } };
+    const leave = e => { if (isFile(e) && --depth <= 0) { depth = 0; setDropping(false); } };
+    const over = e => { if (isFile(e)) e.preventDefault(); };
+    const drop = e => {
+      const f = e.dataTransfer?.files?.[0];
+      depth = 0; setDropping(false);
+      if (!f) return;
+      e.preventDefault();
+      f.text().then(text => engineRef.current?.loadCatalog(text, f.name));
+    };
+    window.addEventListener("dragenter", enter);
+    window.addEventListener("dragleave", leave);
+    window.addEventListener("dragover", over);
+    window.addEventListener("drop", drop);
+    return () => { window.removeEventListener("dragenter", enter); window.removeEventListener("dragleave", leave); window.removeEventListener("dragover", over); window.removeEventListener("drop", drop); };
   }, []);
 
   useEffect(() => {
@@ -1222,6 +2899,7 @@ function ThreeCanvas({ progressRef, mouseRef, scrollingRef, dragRef, isDownRef,
       if (engineRef.current) {
         engineRef.current.setProgress(progressRef.current);
         engineRef.current.setMouse(mouseRef.current.x, mouseRef.current.y);
+        engineRef.current.setPointer(pointerRef.current.x, pointerRef.current.y);
         engineRef.current.setScrolling(scrollingRef.current);
         engineRef.current.setDragging(isDownRef.current);
         engineRef.current.setDragDelta(dragRef.current.x, dragRef.current.y);
@@ -1232,17 +2910,20 @@ function ThreeCanvas({ progressRef, mouseRef, scrollingRef, dragRef, isDownRef,
     };
     raf = requestAnimationFrame(tick);
     return () => cancelAnimationFrame(raf);
-  }, [progressRef, mouseRef, scrollingRef, dragRef, isDownRef, velocityRef]);
+  }, [progressRef, mouseRef, pointerRef, scrollingRef, dragRef, isDownRef, velocityRef]);
 
-  return <canvas ref={canvasRef} style={{ position: "fixed", inset: 0, width: "100%", height: "100%", zIndex: 1 }} />;
+  return <>
+    <canvas ref={canvasRef} style={{ position: "fixed", inset: 0, width: "100%", height: "100%", zIndex: 1 }} />
+    <div style={{ position: "fixed", inset: 0, zIndex: 60, display: "flex", alignItems: "center", justifyContent: "center", pointerEvents: "none", opacity: dropping ? 1 : 0, transition: "opacity .3s", background: "rgba(1,8,18,.55)", fontFamily: F.mono, fontSize: 10, letterSpacing: ".5em", color: C.cyan }}>DROP TLE CATALOG</div>
+  </>;
 }
 
 /* ═══════════════════════════════════════════════════════════════════════════
    §10 HUD COMPONENTS
    ═══════════════════════════════════════════════════════════════════════════ */
 
-const Header = memo(function Header({ chapter }) {
-  const ch = CHAPTERS[chapter];
+const Header = memo(function Header({ chapter, level }) {
+  const ch = CHAPTERS[chapter], st = STATUS[level];
   const [m, setM] = useState(false);
   useEffect(() => { setTimeout(() => setM(true), 200); }, []);
   return (
@@ -1257,8 +2938,8 @@ const Header = memo(function Header({ chapter }) {
       <div style={{ textAlign: "right", fontFamily: F.mono, pointerEvents: "auto" }}>
         <Magnetic strength={0.1}><div data-hover>
           <RevealLine visible={m} delay={0.4}><div style={{ display: "flex", alignItems: "center", gap: 10, justifyContent: "flex-end", marginBottom: 6 }}>
-            <div style={{ width: 6, height: 6, borderRadius: "50%", background: ch.accent, boxShadow: `0 0 10px ${ch.accent}`, animation: "statusPulse 2s ease-in-out infinite" }} />
-            <span style={{ color: ch.accent, fontSize: "clamp(8px,.8vw,11px)", letterSpacing: ".3em", transition: "color .6s" }}>{STATUS_LABEL[chapter]}</span>
+            <div style={{ width: 6, height: 6, borderRadius: "50%", background: st.color, boxShadow: `0 0 10px ${st.color}`, animation: "statusPulse 2s ease-in-out infinite" }} />
+            <span style={{ color: st.color, fontSize: "clamp(8px,.8vw,11px)", letterSpacing: ".3em", transition: "color .6s" }}>{st.label}</span>
           </div></RevealLine>
           <RevealLine visible={m} delay={0.55}><div style={{ color: C.textMicro, fontSize: "clamp(7px,.65vw,9px)", letterSpacing: ".25em" }}>LEO TRACKING ACTIVE</div></RevealLine>
         </div></Magnetic>
@@ -1320,21 +3001,403 @@ function ChapterOverlay({ chapter }) {
   );
 }
 
-const MetricsTicker = memo(function MetricsTicker({ chapter }) {
+const MetricsTicker = memo(function MetricsTicker({ chapter, screening }) {
   const [m, setM] = useState(false); useEffect(() => { setTimeout(() => setM(true), 1000); }, []);
   return (
     <div style={{ position: "fixed", right: "clamp(24px,4vw,60px)", bottom: "clamp(60px,8vh,100px)", fontFamily: F.mono, textAlign: "right", zIndex: 20, opacity: m ? 1 : 0, transform: `translateY(${m ? 0 : 10}px)`, transition: "opacity .8s ease 1s, transform .8s ease 1s" }}>
-      {METRICS.map((mt, i) => (
-        <div key={i} style={{ marginBottom: 18 }}>
-          <div style={{ color: C.textMicro, fontSize: "clamp(7px,.6vw,8px)", letterSpacing: ".4em", marginBottom: 3 }}>{mt.label}</div>
-          <div style={{ color: CHAPTERS[chapter].accent, fontSize: "clamp(12px,1.2vw,16px)", fontWeight: 600, letterSpacing: ".05em", textShadow: `0 0 18px ${CHAPTERS[chapter].accent}33`, transition: "color .5s" }}>
-            <AnimatedNumber value={mt.vals[chapter]} visible={m} />
+      {METRICS.map((mt, i) => {
+        const ac = mt.alert && screening?.level ? STATUS[screening.level].color : CHAPTERS[chapter].accent;
+        const value = mt.live ? (screening ? mt.live(screening) : "—") : mt.vals[chapter];
+        return (
+          <div key={i} style={{ marginBottom: 18 }}>
+            <div style={{ color: C.textMicro, fontSize: "clamp(7px,.6vw,8px)", letterSpacing: ".4em", marginBottom: 3 }}>{mt.label}</div>
+            <div style={{ color: ac, fontSize: "clamp(12px,1.2vw,16px)", fontWeight: 600, letterSpacing: ".05em", textShadow: `0 0 18px ${ac}33`, transition: "color .5s" }}>
+              <AnimatedNumber value={value} visible={m} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
+function CatalogStatus({ catalog }) {
+  if (!catalog) return null;
+  const { source, count, errors } = catalog;
+  const name = source.split("/").pop();
+  return (
+    <div style={{ position: "fixed", top: "clamp(20px,3vw,40px)", left: "50%", transform: "translateX(-50%)", zIndex: 20, fontFamily: F.mono, textAlign: "center", pointerEvents: "none", maxWidth: "40vw" }}>
+      <div style={{ color: count ? C.textDim : C.red, fontSize: 8, letterSpacing: ".35em" }}>{count ? `CATALOG ${name} ── ${count.toLocaleString()} OBJECTS` : `CATALOG ${name} REJECTED ── PROCEDURAL FALLBACK`}</div>
+      {errors.slice(0, 4).map((e, i) => (
+        <div key={i} style={{ color: C.orange, fontSize: 8, letterSpacing: ".1em", marginTop: 4, opacity: .75, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{e.line ? `L${e.line} ` : ""}{e.message}</div>
+      ))}
+      {errors.length > 4 && <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".2em", marginTop: 4 }}>+{errors.length - 4} MORE ── SEE CONSOLE</div>}
+    </div>
+  );
+}
+
+const hms = sec => {
+  const s = Math.max(0, Math.round(sec));
+  return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map(v => String(v).padStart(2, "0")).join(":");
+};
+
+const fmtUtc = ms => new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+
+/* Orbital lifetime (s) as days under a year, years above */
+const fmtLife = sec => {
+  if (!isFinite(sec) || sec > 1e4 * 31557600) return "> 10,000 YR";
+  const yr = sec / 31557600;
+  return yr < 1 ? `${Math.max(1, Math.round(sec / 86400))} D` : `${(yr < 10 ? yr.toFixed(1) : Math.round(yr)).toLocaleString()} YR`;
+};
+
+/* Ranked screening output, shown while phase 03 is on screen */
+function ConjunctionList({ screening, chapter }) {
+  const conjunctions = screening?.conjunctions || [];
+  const list = conjunctions.slice(0, 5);
+  const on = chapter === 3;
+  return (
+    <div style={{ position: "fixed", top: "clamp(120px,18vh,180px)", left: "clamp(24px,4vw,60px)", zIndex: 20, fontFamily: F.mono, pointerEvents: "none", opacity: on ? 1 : 0, transform: `translateY(${on ? 0 : -8}px)`, transition: "opacity .6s ease, transform .6s ease" }}>
+      <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em", marginBottom: 10 }}>{list.length ? `CONJUNCTIONS ── ${conjunctions.length} UNDER ${screening.threshold} KM` : "NO CONJUNCTIONS IN WINDOW"}</div>
+      {list.map((c, i) => (
+        <div key={`${c.a}:${c.b}:${c.tca}`} style={{ display: "grid", gridTemplateColumns: "14px auto", columnGap: 8, marginBottom: 8, color: c.level ? STATUS[c.level].color : C.textDim, opacity: i ? .7 : 1 }}>
+          <span style={{ fontSize: 8 }}>{i + 1}</span>
+          <div>
+            <div style={{ fontSize: 9, letterSpacing: ".12em" }}>{c.nameA} × {c.nameB}</div>
+            <div style={{ fontSize: 7, letterSpacing: ".15em", opacity: .75, marginTop: 2 }}>MISS {c.miss.toFixed(2)} KM ── TCA T+{hms(c.dt)} ── {c.relSpeed.toFixed(2)} KM/S ── PC {fmtPc(c.pc)}</div>
           </div>
         </div>
       ))}
     </div>
   );
-});
+}
+
+/* Running tally of the Kessler cascade, shown during phase 04 */
+function CascadeStatus({ cascade, chapter }) {
+  const on = chapter === 4 && cascade;
+  const recent = cascade ? cascade.events.slice(-4).reverse() : [];
+  return (
+    <div style={{ position: "fixed", top: "clamp(120px,18vh,180px)", left: "clamp(24px,4vw,60px)", zIndex: 20, fontFamily: F.mono, pointerEvents: "none", opacity: on ? 1 : 0, transform: `translateY(${on ? 0 : -8}px)`, transition: "opacity .6s ease, transform .6s ease" }}>
+      <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em", marginBottom: 10 }}>CASCADE ── SEED {cascade?.seed}</div>
+      <div style={{ display: "flex", gap: 22, marginBottom: 12 }}>
+        {[["COLLISIONS", cascade?.collisions], ["OBJECTS", cascade?.objects], ["GENERATION", cascade?.generation]].map(([l, v]) => (
+          <div key={l}>
+            <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".3em", marginBottom: 3 }}>{l}</div>
+            <div style={{ color: C.redDeep, fontSize: 14, fontWeight: 600 }}>{(v ?? 0).toLocaleString()}</div>
+          </div>
+        ))}
+      </div>
+      {cascade?.timeline?.length > 1 && (
+        <div style={{ marginBottom: 12 }}>
+          {cascade.timeline.map(e => (
+            <div key={e.name} style={{ color: e.fired ? C.redDeep : C.textDim, fontSize: 7, letterSpacing: ".15em", marginBottom: 5 }}>
+              {e.fired ? "●" : "○"} T+{hms(e.sim)} ── {e.name}{e.date && ` ── ${e.date}`} ── {Math.round(e.energy).toLocaleString()} J/G
+            </div>
+          ))}
+        </div>
+      )}
+      {recent.map(e => (
+        <div key={`${e.gen}:${e.tau}:${e.target}`} style={{ color: e.catastrophic ? C.redDeep : C.textDim, fontSize: 7, letterSpacing: ".15em", marginBottom: 5 }}>
+          G{e.gen} ── T+{hms(e.sim)} ── {e.target} ── {e.catastrophic ? "CATASTROPHIC" : "DAMAGED"} ── {e.fragments.toLocaleString()} FRAG ── LIFE {fmtLife(e.lifetime)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* Sim clock readout and transport. Keys: P pause, , / . step, [ / ] warp */
+/* Key events from form fields belong to the field, not to the shortcuts */
+const typing = e => e.target instanceof Element && !!e.target.closest("input, textarea, select");
+
+const CLOCK_KEYS = { p: c => c.pause(), ",": c => c.step(-1), ".": c => c.step(1), "[": c => c.slower(), "]": c => c.faster() };
+
+function ClockPanel({ clockRef }) {
+  const [s, setS] = useState(null);
+  useEffect(() => {
+    let raf;
+    const tick = () => {
+      const c = clockRef.current;
+      if (c) {
+        const utc = fmtUtc(c.utc);
+        setS(p => p && p.utc === utc && p.warp === c.warp && p.paused === c.paused ? p : { utc, warp: c.warp, paused: c.paused });
+      }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    const key = e => {
+      const act = CLOCK_KEYS[e.key.toLowerCase()];
+      if (!act || !clockRef.current || e.metaKey || e.ctrlKey || e.altKey || typing(e)) return;
+      e.preventDefault();
+      act(clockRef.current);
+    };
+    window.addEventListener("keydown", key);
+    return () => { cancelAnimationFrame(raf); window.removeEventListener("keydown", key); };
+  }, [clockRef]);
+  if (!s) return null;
+
+  const btn = (label, key, cursor) => (
+    <button key={cursor} data-cursor-label={cursor} onClick={() => CLOCK_KEYS[key](clockRef.current)}
+      style={{ background: "none", border: `1px solid ${C.textMicro}`, color: C.textDim, fontFamily: F.mono, fontSize: 8, letterSpacing: ".1em", padding: "4px 7px" }}>{label}</button>
+  );
+  return (
+    <div style={{ position: "fixed", right: "clamp(24px,4vw,60px)", top: "clamp(96px,13vh,140px)", zIndex: 20, fontFamily: F.mono, textAlign: "right" }}>
+      <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em", marginBottom: 4 }}>SIM CLOCK ── UTC</div>
+      <div style={{ color: C.text, fontSize: 11, letterSpacing: ".12em", marginBottom: 8 }}>{s.utc}</div>
+      <div style={{ display: "flex", gap: 4, alignItems: "center", justifyContent: "flex-end" }}>
+        <span style={{ color: s.paused ? C.orange : s.warp < 0 ? C.cyan : C.textDim, fontSize: 8, letterSpacing: ".2em", marginRight: 8 }}>
+          {s.paused ? "PAUSED" : `${s.warp < 0 ? "REV " : ""}×${Math.abs(s.warp).toLocaleString()}`}
+        </span>
+        {btn("◀◀", "[", "SLOWER")}
+        {btn("◀|", ",", "STEP BACK")}
+        {btn(s.paused ? "▶" : "❚❚", "p", s.paused ? "RESUME" : "PAUSE")}
+        {btn("|▶", ".", "STEP")}
+        {btn("▶▶", "]", "FASTER")}
+      </div>
+    </div>
+  );
+}
+
+/* Globe / map switch (key M) and camera modes: scroll presets, chase the
+   picked object, frame the danger pair */
+const CAM_MODES = [["orbit", "o", "SCROLL PRESETS"], ["follow", "f", "CHASE SELECTED"], ["pair", "g", "FRAME DANGER PAIR"]];
+
+function ViewControls({ view, setView, camMode, setCamMode }) {
+  useEffect(() => {
+    const key = e => {
+      if (e.metaKey || e.ctrlKey || e.altKey || typing(e)) return;
+      const k = e.key.toLowerCase();
+      if (k === "m") setView(v => v === "map" ? "globe" : "map");
+      const m = CAM_MODES.find(([, mk]) => mk === k);
+      if (m) setCamMode(c => c === m[0] ? "orbit" : m[0]);
+    };
+    window.addEventListener("keydown", key);
+    return () => window.removeEventListener("keydown", key);
+  }, [setView, setCamMode]);
+  const btn = on => ({ background: "none", border: `1px solid ${on ? C.cyan : C.textMicro}`, color: on ? C.cyan : C.textDim, fontFamily: F.mono, fontSize: 8, letterSpacing: ".2em", padding: "4px 8px" });
+  return (
+    <div style={{ position: "fixed", right: "clamp(24px,4vw,60px)", top: "calc(clamp(96px,13vh,140px) + 64px)", zIndex: 20, fontFamily: F.mono, display: "flex", gap: 4 }}>
+      {["globe", "map"].map(v => (
+        <button key={v} data-cursor-label={v === "map" ? "2D MAP" : "3D GLOBE"} onClick={() => setView(v)} style={btn(view === v)}>{v.toUpperCase()}</button>
+      ))}
+      <span style={{ width: 8 }} />
+      {CAM_MODES.map(([m, , label]) => (
+        <button key={m} data-cursor-label={label} onClick={() => setCamMode(m)} disabled={view === "map"}
+          style={{ ...btn(camMode === m), opacity: view === "map" ? 0.4 : 1 }}>{m.toUpperCase()}</button>
+      ))}
+    </div>
+  );
+}
+
+/* Frame rate and render tier, with AUTO handing the tier back to the governor */
+function QualityPanel({ perf, quality, setQuality }) {
+  const btn = on => ({ background: "none", border: `1px solid ${on ? C.cyan : C.textMicro}`, color: on ? C.cyan : C.textDim, fontFamily: F.mono, fontSize: 8, letterSpacing: ".2em", padding: "4px 8px" });
+  return (
+    <div style={{ position: "fixed", right: "clamp(24px,4vw,60px)", bottom: "clamp(28px,4vh,52px)", zIndex: 20, fontFamily: F.mono, display: "flex", alignItems: "center", gap: 4 }}>
+      <span style={{ color: perf?.fps && perf.fps < 45 ? C.orange : C.textDim, fontSize: 8, letterSpacing: ".2em", marginRight: 6 }}>
+        {perf?.fps ? `${Math.round(perf.fps)} FPS` : "── FPS"} ── {perf?.name ?? QUALITY[0].name}
+      </span>
+      <button data-cursor-label="GOVERNOR" onClick={() => setQuality("auto")} style={btn(quality === "auto")}>AUTO</button>
+      {QUALITY.map((q, i) => (
+        <button key={q.name} data-cursor-label={`${q.name} QUALITY`} onClick={() => setQuality(i)} style={btn(quality === i)}>{q.name[0]}</button>
+      ))}
+    </div>
+  );
+}
+
+/* Picked object: identity, orbit and status, refreshed while selected */
+const STATUS_COLOR = { ACTIVE: C.cyan, DANGER: C.red, DEBRIS: C.redDeep, DESTROYED: C.red, "RE-ENTERED": C.orange, DIM: C.textDim };
+
+function ObjectPanel({ info }) {
+  const rows = info && info.alt !== undefined ? [
+    ["BAND", `${String(info.oi).padStart(2, "0")} ── ${info.band}`],
+    ["ALTITUDE", `${Math.round(info.alt).toLocaleString()} KM`],
+    ["VELOCITY", `${info.vel.toFixed(2)} KM/S`],
+    ["INCLINATION", `${info.inc.toFixed(1)}°`],
+    ["PERIOD", `${info.period.toFixed(1)} MIN`],
+    ...(info.kind === "debris" ? [["GENERATION", `G${info.gen}`], ["MASS", `${info.mass < 1 ? info.mass.toFixed(2) : Math.round(info.mass).toLocaleString()} KG`]] : []),
+  ] : [];
+  return (
+    <div style={{ position: "fixed", right: "clamp(24px,4vw,60px)", top: "calc(clamp(96px,13vh,140px) + 104px)", zIndex: 20, fontFamily: F.mono, pointerEvents: "none", minWidth: 200, opacity: info ? 1 : 0, transform: `translateX(${info ? 0 : 10}px)`, transition: "opacity .4s ease, transform .4s ease" }}>
+      {info && <>
+        <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em", marginBottom: 4 }}>OBJECT ── ID {info.id}</div>
+        <div style={{ color: C.text, fontSize: 12, letterSpacing: ".12em", marginBottom: 4 }}>{info.name}</div>
+        <div style={{ color: STATUS_COLOR[info.status] || C.textDim, fontSize: 8, letterSpacing: ".3em", marginBottom: 10 }}>{info.status}</div>
+        {rows.map(([l, v]) => (
+          <div key={l} style={{ display: "flex", justifyContent: "space-between", gap: 18, fontSize: 8, letterSpacing: ".15em", marginBottom: 4 }}>
+            <span style={{ color: C.textMicro }}>{l}</span><span style={{ color: C.textDim }}>{v}</span>
+          </div>
+        ))}
+        <div style={{ color: C.textMicro, fontSize: 6, letterSpacing: ".3em", marginTop: 8 }}>CLICK EMPTY SPACE OR ESC TO CLOSE</div>
+      </>}
+    </div>
+  );
+}
+
+/* Band congestion card: follows the pointer over a ring, and stays put
+   while a band is isolated */
+function BandTooltip({ bands, pointerRef }) {
+  const ref = useRef(null);
+  const info = bands?.hover || bands?.isolated;
+  const follow = !!bands?.hover;
+  useEffect(() => {
+    if (!follow) return;
+    let raf;
+    const tick = () => {
+      const el = ref.current, p = pointerRef.current;
+      if (el) el.style.transform = `translate(${p.cx + 18}px,${p.cy + 14}px)`;
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [follow, pointerRef]);
+  if (!info) return null;
+
+  const km = v => `${Math.round(v).toLocaleString()}`;
+  const rows = [
+    ["ALTITUDE", info.apogee - info.perigee < 1 ? `${km(info.perigee)} KM` : `${km(info.perigee)}–${km(info.apogee)} KM`],
+    ["INCLINATION", `${info.inc.toFixed(1)}°`],
+    ["PERIOD", `${info.period.toFixed(1)} MIN`],
+    ["SATELLITES", info.count.toLocaleString()],
+    ["DEBRIS", info.debris.toLocaleString()],
+    ["DEBRIS DENSITY", `${info.density ? info.density.toExponential(1).toUpperCase() : "0"} /KM³`],
+  ];
+  return (
+    <div key={follow ? "hover" : "pinned"} ref={ref}
+      style={{ position: "fixed", ...(follow ? { left: 0, top: 0 } : { left: "clamp(24px,4vw,60px)", top: "calc(50% + 28px)" }), zIndex: 25, fontFamily: F.mono, pointerEvents: "none", minWidth: 180, padding: "10px 12px", background: "rgba(1,8,18,.78)", borderLeft: `2px solid ${info.color}` }}>
+      <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em", marginBottom: 4 }}>ORBITAL BAND{info.isolated ? " ── ISOLATED" : ""}</div>
+      <div style={{ color: info.color, fontSize: 11, letterSpacing: ".12em", marginBottom: 8 }}>{info.name}</div>
+      {rows.map(([l, v]) => (
+        <div key={l} style={{ display: "flex", justifyContent: "space-between", gap: 16, fontSize: 8, letterSpacing: ".15em", marginBottom: 3 }}>
+          <span style={{ color: C.textMicro }}>{l}</span><span style={{ color: C.textDim }}>{v}</span>
+        </div>
+      ))}
+      <div style={{ color: C.textMicro, fontSize: 6, letterSpacing: ".3em", marginTop: 6 }}>{info.isolated ? "CLICK RING OR ESC TO RELEASE" : "CLICK TO ISOLATE"}</div>
+    </div>
+  );
+}
+
+/* Catalog sidebar (key /): search and filters drive the highlight in the
+   scene and map; rows select an object; trails and Walker shells are added
+   here; the legend explains the colors */
+const TYPE_LABEL = { payload: "PAYLOAD", rocket: "ROCKET BODY", debris: "DEBRIS" };
+const LEGEND = [...CATEGORIES, { key: "out", label: "FILTERED OUT", color: C.textDim }, { key: "danger", label: "DANGER PAIR", color: C.red }, { key: "frag", label: "BREAKUP FRAGMENT", color: C.debris }];
+
+function CatalogSidebar({ filter, setFilter, result, engineApi, trails, setTrails }) {
+  const [open, setOpen] = useState(false);
+  const [walker, setWalker] = useState({ t: "120", p: "12", f: "1", alt: "800", inc: "70" });
+  const [shellMsg, setShellMsg] = useState("");
+  const addShell = w => {
+    const r = engineApi.current?.addShell(w);
+    if (r) setShellMsg(r.error ? r.error.toUpperCase() : `+${r.added.toLocaleString()} ${w.name || "WALKER"}`);
+  };
+  const search = useRef(null);
+  useEffect(() => {
+    const key = e => {
+      if (e.key !== "/" || typing(e) || e.metaKey || e.ctrlKey || e.altKey) return;
+      e.preventDefault();
+      setOpen(true);
+      search.current?.focus();
+    };
+    window.addEventListener("keydown", key);
+    return () => window.removeEventListener("keydown", key);
+  }, []);
+
+  const set = patch => setFilter(f => ({ ...f, ...patch }));
+  const toggle = (k, v) => setFilter(f => ({ ...f, [k]: f[k].includes(v) ? f[k].filter(x => x !== v) : [...f[k], v] }));
+  const label = t => <div style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em", margin: "12px 0 6px" }}>{t}</div>;
+  const chip = (key, on, text, onClick) => (
+    <button key={key} onClick={onClick}
+      style={{ background: "none", border: `1px solid ${on ? C.cyan : C.textMicro}`, color: on ? C.cyan : C.textDim, fontFamily: F.mono, fontSize: 7, letterSpacing: ".15em", padding: "3px 6px" }}>{text}</button>
+  );
+  const input = { background: "none", border: `1px solid ${C.textMicro}`, color: C.text, fontFamily: F.mono, fontSize: 9, letterSpacing: ".1em", padding: "5px 7px", outline: "none", minWidth: 0 };
+  const range = (k, unit) => (
+    <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+      {[0, 1].map(j => (
+        <input key={j} type="number" value={filter[k][j]} placeholder={j ? "MAX" : "MIN"} onChange={e => set({ [k]: filter[k].map((v, n) => n === j ? e.target.value : v) })} style={{ ...input, width: "50%" }} />
+      ))}
+      <span style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".2em" }}>{unit}</span>
+    </div>
+  );
+
+  return <>
+    <button data-cursor-label="CATALOG" onClick={() => setOpen(o => !o)}
+      style={{ position: "fixed", left: 0, top: "50%", transform: "translateY(-50%)", zIndex: 21, background: "rgba(1,8,18,.6)", border: `1px solid ${C.textMicro}`, borderLeft: "none", color: result?.on ? C.cyan : C.textDim, fontFamily: F.mono, fontSize: 7, letterSpacing: ".4em", padding: "12px 4px", writingMode: "vertical-rl", opacity: open ? 0 : 1, transition: "opacity .3s" }}>CATALOG</button>
+    <aside onMouseDown={e => e.stopPropagation()}
+      style={{ position: "fixed", left: 0, top: 0, bottom: 0, width: "clamp(260px,22vw,320px)", zIndex: 30, boxSizing: "border-box", padding: "clamp(20px,3vw,32px) 18px", display: "flex", flexDirection: "column", overflowY: "auto", overscrollBehavior: "contain", background: "rgba(1,8,18,.92)", borderRight: `1px solid ${C.dim06}`, fontFamily: F.mono, transform: `translateX(${open ? 0 : -100}%)`, transition: "transform .45s cubic-bezier(.2,.8,.2,1)" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <span style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".4em" }}>CATALOG ── {result ? `${result.count} / ${result.total}` : "…"}</span>
+        <button data-cursor-label="CLOSE" onClick={() => setOpen(false)} style={{ background: "none", border: "none", color: C.textDim, fontFamily: F.mono, fontSize: 10 }}>✕</button>
+      </div>
+      <input ref={search} value={filter.q} placeholder="NAME OR CATALOG NUMBER" onChange={e => set({ q: e.target.value })}
+        onKeyDown={e => { if (e.key === "Escape") { e.stopPropagation(); e.currentTarget.blur(); } }} style={{ ...input, marginTop: 10 }} />
+
+      {label("BAND")}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 3 }}>
+        {ORBIT_DEFS.map((o, i) => chip(i, filter.bands.includes(i), bandName(i), () => toggle("bands", i)))}
+      </div>
+      {label("ALTITUDE ── PERIGEE TO APOGEE")}
+      {range("alt", "KM")}
+      {label("INCLINATION")}
+      {range("inc", "DEG")}
+      {label("TYPE")}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 3 }}>
+        {Object.entries(TYPE_LABEL).map(([k, t]) => chip(k, filter.types.includes(k), t, () => toggle("types", k)))}
+      </div>
+      {label("STATUS")}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 3 }}>
+        {["all", "active", "inactive"].map(k => chip(k, filter.status === k, k.toUpperCase(), () => set({ status: k })))}
+        <span style={{ flex: 1 }} />
+        {chip("reset", false, "RESET", () => setFilter(FILTER_NONE))}
+      </div>
+      {label("TRAILS")}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 3 }}>
+        {[["selected", "SELECTED"], ["pair", "DANGER PAIR"], ["debris", "FRAGMENTS"]].map(([k, t]) => chip(k, trails[k], t, () => setTrails(o => ({ ...o, [k]: !o[k] }))))}
+      </div>
+      <div style={{ display: "flex", gap: 4, alignItems: "center", marginTop: 4 }}>
+        <select value={trails.band} onChange={e => setTrails(o => ({ ...o, band: +e.target.value }))} style={{ ...input, flex: 1, background: C.bg }}>
+          <option value={-1}>NO BAND</option>
+          {ORBIT_DEFS.map((o, i) => <option key={i} value={i}>{bandName(i)}</option>)}
+        </select>
+        <input type="number" min={1} value={trails.minutes} onChange={e => setTrails(o => ({ ...o, minutes: e.target.value }))} style={{ ...input, width: 52 }} />
+        <span style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".2em" }}>MIN</span>
+      </div>
+      {label("CONSTELLATIONS ── WALKER T/P/F")}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 3 }}>
+        {SHELLS.map(w => chip(w.name, false, `${w.name} ${w.t}`, () => addShell(w)))}
+        <span style={{ flex: 1 }} />
+        {chip("clear", false, "CLEAR", () => { engineApi.current?.clearShells(); setShellMsg(""); })}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr) auto", gap: 3, marginTop: 4 }}>
+        {[["t", "T"], ["p", "P"], ["f", "F"], ["alt", "KM"], ["inc", "DEG"]].map(([k, ph]) => (
+          <input key={k} type="number" value={walker[k]} placeholder={ph} title={ph} onChange={e => setWalker(w => ({ ...w, [k]: e.target.value }))} style={{ ...input, padding: "5px 4px" }} />
+        ))}
+        {chip("add", false, "ADD", () => addShell({ t: +walker.t, p: +walker.p, f: +walker.f, alt: +walker.alt, inc: +walker.inc * DEG }))}
+      </div>
+      {shellMsg && <div style={{ color: C.textDim, fontSize: 7, letterSpacing: ".2em", marginTop: 4 }}>{shellMsg}</div>}
+
+      {label(result && result.count > result.rows.length ? `MATCHES ── FIRST ${result.rows.length}` : "MATCHES")}
+      <div style={{ flex: "1 0 120px", overflowY: "auto", overscrollBehavior: "contain" }}>
+        {result?.rows.map(r => (
+          <button key={r.i} data-cursor-label="SELECT" onClick={() => engineApi.current?.selectSat(r.i)}
+            style={{ display: "grid", gridTemplateColumns: "8px 1fr auto", alignItems: "center", columnGap: 8, width: "100%", background: "none", border: "none", padding: "3px 0", fontFamily: F.mono, textAlign: "left" }}>
+            <span style={{ width: 5, height: 5, borderRadius: "50%", background: CATEGORY_COLOR[r.cat] }} />
+            <span style={{ color: C.text, fontSize: 8, letterSpacing: ".1em", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.name}</span>
+            <span style={{ color: C.textMicro, fontSize: 7, letterSpacing: ".1em" }}>{r.id}</span>
+          </button>
+        ))}
+        {result && !result.count && <div style={{ color: C.textDim, fontSize: 7, letterSpacing: ".3em" }}>NO OBJECTS MATCH</div>}
+      </div>
+
+      {label("LEGEND ── WHILE FILTERING")}
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "4px 10px" }}>
+        {LEGEND.map(l => (
+          <div key={l.key} style={{ display: "flex", alignItems: "center", gap: 6, color: C.textDim, fontSize: 6, letterSpacing: ".2em" }}>
+            <span style={{ width: 6, height: 6, borderRadius: "50%", flex: "none", background: l.color, boxShadow: `0 0 6px ${l.color}` }} />{l.label}
+          </div>
+        ))}
+      </div>
+    </aside>
+  </>;
+}
 
 function ScrollHint({ progress }) {
   const op = progress < 0.02 ? 1 : Math.max(0, 1 - progress / .06);
@@ -1429,7 +3492,26 @@ export default function Astral() {
   const mouse = useMouseSystem();
   const [loaded, setLoaded] = useState(false);
   const [isScrolling, setIsScrolling] = useState(true);
+  const [catalog, setCatalog] = useState(null);
+  const [screening, setScreening] = useState(null);
+  const [cascade, setCascade] = useState(null);
   const onLoad = useCallback(() => setLoaded(true), []);
+  const params = useMemo(() => new URLSearchParams(window.location.search), []);
+  const catalogUrl = params.get("catalog");
+  const seed = Number(params.get("seed")) || CASCADE.seed;
+  const clockRef = useRef(null);
+  const [view, setView] = useState("globe");
+  const [camMode, setCamMode] = useState("orbit");
+  const [filter, setFilter] = useState(FILTER_NONE);
+  const [filterResult, setFilterResult] = useState(null);
+  const engineApi = useRef(null);
+  const [trails, setTrails] = useState(TRAIL_OPTS);
+  const [bands, setBands] = useState(null);
+  const [quality, setQuality] = useState("auto");
+  const [perf, setPerf] = useState(null);
+  const hoverRef = useRef("");
+  const [picked, setPicked] = useState(null);
+  const onHover = useCallback(h => { hoverRef.current = h ? h.name : ""; }, []);
 
   useEffect(() => {
     let raf;
@@ -1441,17 +3523,26 @@ export default function Astral() {
   return <>
     <style>{CSS}</style>
     {!loaded && <Loader onDone={onLoad} />}
-    <Cursor chapter={chapter} scrolling={isScrolling} />
-    <ThreeCanvas progressRef={smooth} mouseRef={mouse.smooth} scrollingRef={scrolling} dragRef={mouse.drag} isDownRef={mouse.down} velocityRef={velocity} />
+    <Cursor chapter={chapter} scrolling={isScrolling} hoverRef={hoverRef} />
+    <ThreeCanvas progressRef={smooth} mouseRef={mouse.smooth} pointerRef={mouse.pos} scrollingRef={scrolling} dragRef={mouse.drag} isDownRef={mouse.down} velocityRef={velocity} clockRef={clockRef} engineApi={engineApi} view={view} camMode={camMode} filter={filter} trails={trails} catalogUrl={catalogUrl} seed={seed} quality={quality} onCatalog={setCatalog} onScreening={setScreening} onCascade={setCascade} onHover={onHover} onSelect={setPicked} onFilter={setFilterResult} onBand={setBands} onQuality={setPerf} />
     <div id="astral-scroll-space" />
     {loaded && <>
-      <Header chapter={chapter} />
+      <Header chapter={chapter} level={cascade?.collisions ? CASCADE_LEVEL : screening?.level ?? 0} />
       <ChapterOverlay chapter={chapter} />
       <ProgressBar progress={raw.current} chapter={chapter} />
-      <MetricsTicker chapter={chapter} />
+      <MetricsTicker chapter={chapter} screening={screening} />
       <ScrollHint progress={raw.current} />
       <CameraMode scrolling={isScrolling} />
       <Corners chapter={chapter} />
+      <CatalogStatus catalog={catalog} />
+      <ConjunctionList screening={screening} chapter={chapter} />
+      <CascadeStatus cascade={cascade} chapter={chapter} />
+      <ClockPanel clockRef={clockRef} />
+      <ViewControls view={view} setView={setView} camMode={camMode} setCamMode={setCamMode} />
+      <ObjectPanel info={picked} />
+      <QualityPanel perf={perf} quality={quality} setQuality={setQuality} />
+      <BandTooltip bands={bands} pointerRef={mouse.pos} />
+      <CatalogSidebar filter={filter} setFilter={setFilter} result={filterResult} engineApi={engineApi} trails={trails} setTrails={setTrails} />
     </>}
     <Vignettes />
     <Grain />
@@ -0,0 +1,113 @@
+/**
+ * Exponential atmosphere and drag decay.
+ *
+ * Density follows the piecewise-exponential reference table from Vallado
+ * (Fundamentals of Astrodynamics, table 8-4). Decay treats the orbit as
+ * circular at perigee radius x, with da/dt = -B · ρ · √(μ x), B = Cd · A/m.
+ * Eccentric orbits only meet the atmosphere around perigee, so their B is
+ * scaled by the fraction of density they see on average (King-Hele:
+ * roughly √(H / 2π·a·e) for scale height H).
+ * Both the decay and the mean-anomaly drift it causes separate into integrals
+ * that depend only on x:
+ *
+ *   F(x) = ∫ dx / (ρ √(μ x))        time · B to sink between two radii
+ *   G(x) = ∫ dx / (ρ x²)             mean anomaly · B gained on the way
+ *
+ * Both are tabulated once, so an object's radius and phase at any time come
+ * from a table lookup rather than step-by-step integration. Results depend
+ * only on time, in either direction.
+ *
+ * Units: km, s, kg; A/m in m²/kg.
+ */
+
+import { RE_KM, MU_EARTH } from "./constants.js";
+
+export const REENTRY_ALT = 120;   // km — burn-up altitude, object is removed
+export const DRAG_CD = 2.2;
+
+// base altitude (km), nominal density (kg/m³), scale height (km)
+const LAYERS = [
+  [0, 1.225, 7.249], [25, 3.899e-2, 6.349], [30, 1.774e-2, 6.682], [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382], [60, 3.206e-4, 7.714], [70, 8.770e-5, 6.549], [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382], [100, 5.297e-7, 5.877], [110, 9.661e-8, 7.263], [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636], [140, 3.845e-9, 16.149], [150, 2.070e-9, 22.523], [180, 5.464e-10, 29.740],
+  [200, 2.789e-10, 37.105], [250, 7.248e-11, 45.546], [300, 2.418e-11, 53.628], [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515], [450, 1.585e-12, 60.828], [500, 6.967e-13, 63.822], [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667], [800, 1.170e-14, 124.64], [900, 5.245e-15, 181.05], [1000, 3.019e-15, 268.00],
+];
+
+const layerAt = h => {
+  let i = LAYERS.length - 1;
+  while (i > 0 && h < LAYERS[i][0]) i--;
+  return LAYERS[i];
+};
+
+/* Atmospheric density (kg/m³) at altitude h (km) */
+export function density(h) {
+  const [h0, rho0, H] = layerAt(h);
+  return rho0 * Math.exp(-(h - h0) / H);
+}
+
+/* F and G tabulated per km of altitude from re-entry to TABLE_TOP */
+const TABLE_TOP = 2000;
+const N = TABLE_TOP - REENTRY_ALT + 1;
+const F = new Float64Array(N), G = new Float64Array(N);
+{
+  // ρ in kg/m³ × B in m²/kg gives 1/m; ×1000 for per km
+  const f = h => 1 / (1000 * density(h) * Math.sqrt(MU_EARTH * (RE_KM + h)));
+  const g = h => 1 / (1000 * density(h) * (RE_KM + h) ** 2);
+  for (let i = 1; i < N; i++) {
+    const h = REENTRY_ALT + i;
+    F[i] = F[i - 1] + (f(h - 1) + f(h)) / 2;
+    G[i] = G[i - 1] + (g(h - 1) + g(h)) / 2;
+  }
+}
+
+/* The same tables for evaluating decay outside this module (the GPU debris
+   field): entry i is at altitude base + i km */
+export const DRAG_TABLE = { base: REENTRY_ALT, F, G };
+
+const lookup = (T, h) => {
+  const x = Math.min(Math.max(h - REENTRY_ALT, 0), N - 1);
+  const i = Math.min(Math.floor(x), N - 2);
+  return T[i] + (T[i + 1] - T[i]) * (x - i);
+};
+
+/* Inverse of F: altitude at which F reaches value v */
+const altitudeAt = v => {
+  if (v <= 0) return REENTRY_ALT;
+  let lo = 0, hi = N - 1;
+  if (v >= F[hi]) return TABLE_TOP;
+  while (hi - lo > 1) { const m = (lo + hi) >> 1; if (F[m] > v) hi = m; else lo = m; }
+  return REENTRY_ALT + lo + (v - F[lo]) / (F[hi] - F[lo]);
+};
+
+/* Orbital lifetime (s) from perigee altitude h (km) for area-to-mass ratio am (m²/kg) */
+export const lifetime = (h, am) => h >= TABLE_TOP ? Infinity : lookup(F, h) / (DRAG_CD * am);
+
+/**
+ * Drag record for an orbit, or null when its perigee is above `ceiling` and
+ * drag is ignored.
+ * @param {{ a: number, e: number, am: number }} o semi-major axis (km), eccentricity, A/m
+ * @param {number} ceiling altitude (km) above which drag is ignored
+ */
+export function dragModel({ a, e, am }, ceiling) {
+  const hp = a * (1 - e) - RE_KM;
+  if (hp > ceiling) return null;
+  const x = (a * e) / layerAt(hp)[2];
+  const B = DRAG_CD * am * Math.min(1, 1 / Math.sqrt(2 * Math.PI * x));
+  const F0 = lookup(F, hp);
+  return { a0: a, e, B, hp0: hp, F0, G0: lookup(G, hp), tReentry: F0 / B };
+}
+
+/**
+ * State of a dragged orbit t seconds after the drag record was made.
+ * @returns {{ a: number, dM: number, reentered: boolean }} semi-major axis (km),
+ *   mean anomaly swept since t = 0 (rad), whether the object has burnt up
+ */
+export function dragState(d, t) {
+  const k = (1 - d.e) ** 1.5; // mean motion at a rather than at perigee radius
+  if (t >= d.tReentry) return { a: (RE_KM + REENTRY_ALT) / (1 - d.e), dM: (k * d.G0) / d.B, reentered: true };
+  const hp = altitudeAt(d.F0 - d.B * t);
+  return { a: (RE_KM + hp) / (1 - d.e), dM: (k * (d.G0 - lookup(G, hp))) / d.B, reentered: false };
+}
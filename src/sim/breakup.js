@@ -0,0 +1,88 @@
+/**
+ * NASA Standard Breakup Model (EVOLVE 4.0, Johnson et al. 2001) — collisions.
+ *
+ * Given the two masses and the impact speed it decides catastrophic vs
+ * non-catastrophic, sets the fragment count from the cumulative size law
+ * N(>Lc) = 0.1 · M^0.75 · Lc^-1.71, and draws each fragment's characteristic
+ * length, area-to-mass ratio and ejection delta-v from the model's
+ * distributions.
+ *
+ * Units: kg, m, m²; delta-v in km/s so it can be added to state vectors.
+ */
+
+export const BREAKUP = {
+  lcMin: 0.1,               // m — smallest fragment generated (trackable size)
+  catastrophicEnergy: 40,   // J/g — specific energy threshold
+};
+
+const SIZE_EXP = 1.71;
+
+/* Standard normal via Box–Muller on a caller-supplied uniform generator */
+const gauss = rng => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+
+/* Piecewise-linear helper for the model's λc-dependent coefficients */
+const ramp = (x, x0, y0, x1, y1) => x <= x0 ? y0 : x >= x1 ? y1 : y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+
+/* Characteristic length (m) of an intact object of mass m (kg) */
+export const lengthFromMass = m => (m / 92.937) ** (1 / 2.26);
+
+/* Mean cross-sectional area (m²) for characteristic length Lc */
+export const areaFromLength = L => L < 0.00167 ? 0.540424 * L * L : 0.556945 * L ** 2.0047077;
+
+/* log10(A/m) for a spacecraft fragment, λ = log10(Lc) */
+function logAreaToMass(lam, rng) {
+  if (lam < Math.log10(0.08) || (lam < Math.log10(0.11) && rng() > (10 ** lam - 0.08) / 0.03)) {
+    // small-fragment distribution
+    const mu = ramp(lam, -1.75, -0.3, -1.25, -1.0);
+    const sd = lam <= -3.5 ? 0.2 : 0.2 + 0.1333 * (lam + 3.5);
+    return mu + sd * gauss(rng);
+  }
+  const alpha = ramp(lam, -1.95, 0, 0.55, 1);
+  const mu1 = ramp(lam, -1.1, -0.6, 0, -0.95);
+  const sd1 = ramp(lam, -1.3, 0.1, -0.3, 0.3);
+  const mu2 = ramp(lam, -0.7, -1.2, -0.1, -2.0);
+  const sd2 = ramp(lam, -0.5, 0.5, -0.3, 0.3);
+  return rng() < alpha ? mu1 + sd1 * gauss(rng) : mu2 + sd2 * gauss(rng);
+}
+
+/* Specific energy (J/g) of an impact: projectile kinetic energy over target mass */
+export const impactEnergy = ({ m1, m2, vRel }) => (0.5 * Math.min(m1, m2) * (vRel * 1000) ** 2) / (Math.max(m1, m2) * 1000);
+
+/**
+ * Fragment a collision between two objects.
+ * @param {{ m1: number, m2: number, vRel: number }} impact masses (kg) and impact speed (km/s)
+ * @param {() => number} rng uniform [0, 1) generator
+ * @param {{ lcMin?: number, maxFragments?: number }} opts `maxFragments` caps how many are
+ *   drawn; `count` still reports the full model population
+ * @returns {{ catastrophic: boolean, energy: number, mass: number, count: number,
+ *   fragments: { L: number, am: number, area: number, mass: number, dv: number[] }[] }}
+ *   fragments largest first; `energy` is the specific energy in J/g
+ */
+export function breakup({ m1, m2, vRel }, rng, opts = {}) {
+  const { lcMin = BREAKUP.lcMin, maxFragments = Infinity } = opts;
+  const target = Math.max(m1, m2), projectile = Math.min(m1, m2);
+  const energy = impactEnergy({ m1, m2, vRel });
+  const catastrophic = energy >= BREAKUP.catastrophicEnergy;
+  const mass = catastrophic ? m1 + m2 : projectile * vRel * vRel;
+  const count = Math.floor(0.1 * mass ** 0.75 * lcMin ** -SIZE_EXP);
+
+  const lcMax = Math.max(lcMin * 1.01, lengthFromMass(catastrophic ? target : Math.min(mass, target)));
+  const a = lcMin ** -SIZE_EXP, b = lcMax ** -SIZE_EXP;
+  const n = Math.min(count, maxFragments);
+  const fragments = [];
+  let budget = mass;
+  for (let i = 0; i < n && budget > 0; i++) {
+    const L = (a - rng() * (a - b)) ** (-1 / SIZE_EXP);
+    const chi = logAreaToMass(Math.log10(L), rng);
+    const am = 10 ** chi;
+    const area = areaFromLength(L);
+    const m = Math.min(area / am, budget);
+    budget -= m;
+    // ejection speed: log10(Δv m/s) ~ N(0.9χ + 2.9, 0.4), isotropic direction
+    const dvMag = 10 ** (0.9 * chi + 2.9 + 0.4 * gauss(rng)) / 1000;
+    const z = 2 * rng() - 1, ph = 2 * Math.PI * rng(), s = Math.sqrt(1 - z * z);
+    fragments.push({ L, am, area, mass: m, dv: [dvMag * s * Math.cos(ph), dvMag * s * Math.sin(ph), dvMag * z] });
+  }
+  fragments.sort((x, y) => y.L - x.L);
+  return { catastrophic, energy, mass, count, fragments };
+}
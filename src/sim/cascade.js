@@ -0,0 +1,95 @@
+/**
+ * Kessler cascade hit testing.
+ *
+ * Over one fixed step every intact object and every debris fragment is
+ * treated as moving in a straight line from its start to its end position.
+ * A hit is any target/fragment pair whose closest approach within the step
+ * falls inside the effective hit radius. Fragments are binned in a spatial
+ * hash so each target only examines its neighbourhood.
+ *
+ * cascadeStep runs one step over a catalog and a fragment set, the same way
+ * on the main thread and in the simulation worker, so a cascade comes out the
+ * same wherever it was extended.
+ *
+ * Units: the caller's (see catalog.js); times since the first impact.
+ */
+
+import { orbitState, fragmentPosition } from "./catalog.js";
+
+/**
+ * @param {Float64Array} targets 6 numbers per object: start xyz, end xyz
+ * @param {Float64Array} debris same layout for fragments
+ * @param {number} radius effective hit radius
+ * @returns {{ target: number, debris: number, s: number, dist: number }[]}
+ *   hits in step order (`s` is the fraction of the step at closest approach)
+ */
+export function sweptHits(targets, debris, radius) {
+  const nt = targets.length / 6, nd = debris.length / 6;
+  let reach = 0;
+  const seg = (a, i) => Math.hypot(a[i + 3] - a[i], a[i + 4] - a[i + 1], a[i + 5] - a[i + 2]);
+  for (let i = 0; i < nt; i++) reach = Math.max(reach, seg(targets, i * 6));
+  let dmax = 0;
+  for (let i = 0; i < nd; i++) dmax = Math.max(dmax, seg(debris, i * 6));
+  const cell = 2 * radius + reach + dmax || 1;
+
+  const mid = (a, i, k) => (a[i + k] + a[i + k + 3]) / 2;
+  const grid = new Map();
+  for (let j = 0; j < nd; j++) {
+    const o = j * 6;
+    const key = `${Math.floor(mid(debris, o, 0) / cell)},${Math.floor(mid(debris, o, 1) / cell)},${Math.floor(mid(debris, o, 2) / cell)}`;
+    const c = grid.get(key);
+    if (c) c.push(j); else grid.set(key, [j]);
+  }
+
+  const hits = [];
+  for (let i = 0; i < nt; i++) {
+    const o = i * 6;
+    const cx = Math.floor(mid(targets, o, 0) / cell), cy = Math.floor(mid(targets, o, 1) / cell), cz = Math.floor(mid(targets, o, 2) / cell);
+    for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) for (let dz = -1; dz <= 1; dz++) {
+      const c = grid.get(`${cx + dx},${cy + dy},${cz + dz}`);
+      if (!c) continue;
+      for (const j of c) {
+        const q = j * 6;
+        // relative start and relative motion over the step
+        const r0 = [targets[o] - debris[q], targets[o + 1] - debris[q + 1], targets[o + 2] - debris[q + 2]];
+        const dv = [0, 1, 2].map(k => (targets[o + 3 + k] - targets[o + k]) - (debris[q + 3 + k] - debris[q + k]));
+        const vv = dv[0] * dv[0] + dv[1] * dv[1] + dv[2] * dv[2];
+        const s = vv > 0 ? Math.min(1, Math.max(0, -(r0[0] * dv[0] + r0[1] * dv[1] + r0[2] * dv[2]) / vv)) : 0;
+        const dist = Math.hypot(r0[0] + dv[0] * s, r0[1] + dv[1] * s, r0[2] + dv[2] * s);
+        if (dist < radius) hits.push({ target: i, debris: j, s, dist });
+      }
+    }
+  }
+  return hits.sort((a, b) => a.s - b.s || a.target - b.target || a.debris - b.debris);
+}
+
+/**
+ * Hits over the step [a, b]: every catalog object not yet destroyed and up
+ * for the whole step (a re-entry mid-step would stretch the hash cells)
+ * against every fragment released by a and not yet gone.
+ * @param {object[]} sats catalog, as for orbitState
+ * @param {{ has: (i: number) => boolean }} destroyed catalog indices destroyed before a
+ * @param {({ active: boolean, orbit: object, t0: number, hit: number } | undefined)[]} debris
+ *   fragments by slot: orbit at release, release time and the time it was hit
+ * @param {number} impactT catalog time of the first impact
+ * @returns {{ target: number, debris: number, s: number }[]} catalog index,
+ *   debris slot and step fraction of each hit, in step order
+ */
+export function cascadeStep(sats, destroyed, debris, impactT, a, b, radius, u) {
+  const live = [], tp = [], slots = [], dp = [];
+  sats.forEach((s, i) => {
+    if (destroyed.has(i)) return;
+    const pa = orbitState(s, impactT + a, u), pb = pa && orbitState(s, impactT + b, u);
+    if (!pb) return;
+    live.push(i); tp.push(...pa.r, ...pb.r);
+  });
+  debris.forEach((d, i) => {
+    if (!d?.active || d.t0 > a || d.hit <= a) return;
+    const pa = fragmentPosition(d.orbit, a - d.t0, u), pb = pa && fragmentPosition(d.orbit, b - d.t0, u);
+    if (!pb) return;
+    slots.push(i); dp.push(...pa, ...pb);
+  });
+  if (!live.length || !slots.length) return [];
+  return sweptHits(Float64Array.from(tp), Float64Array.from(dp), radius)
+    .map(h => ({ target: live[h.target], debris: slots[h.debris], s: h.s }));
+}
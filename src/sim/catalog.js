@@ -0,0 +1,111 @@
+/**
+ * Whole-catalog propagation and screening, shared by the main thread and the
+ * simulation worker.
+ *
+ * Catalog objects (those carrying an SGP4 record) run SGP4 from their own
+ * epoch; procedural objects fly two-body Kepler orbits from elements kept in
+ * the caller's length unit, with mean motion in radians per the caller's time
+ * unit, and decay under drag. `u` carries both conversions: `scale` length
+ * units per km and `rate` simulated seconds per time unit.
+ *
+ * Units: propagation in the caller's, positions in an inertial z-up frame
+ * (ECI/TEME) with velocities per simulated second; screening in km and
+ * simulated seconds; ground tracks in radians of latitude and longitude.
+ */
+
+import { keplerToState, solveKepler, positionAtE } from "./kepler.js";
+import { dragState } from "./atmosphere.js";
+import { propagateAt } from "./sgp4.js";
+import { screenConjunctions } from "./conjunction.js";
+import { collisionProbability, rtnCovariance, positionSigma } from "./pc.js";
+import { subPoint } from "./ephemeris.js";
+import { MU_EARTH } from "./constants.js";
+
+/**
+ * Semi-major axis, mean anomaly and mean motion of orbit `o` dt time units
+ * after its epoch, shrunk by drag; null once it has re-entered.
+ * @param {{ a: number, drag?: object }} o elements, drag record with `mScale`
+ */
+export const decayed = (o, M0, n, dt, u) => {
+  if (!o.drag) return { a: o.a, M: M0 + n * dt, n };
+  const d = dragState(o.drag, dt * u.rate);
+  if (d.reentered) return null;
+  const a = d.a * u.scale;
+  return { a, M: M0 + d.dM * o.drag.mScale, n: n * (o.a / a) ** 1.5 };
+};
+
+/**
+ * Position of a debris fragment dt time units after its release; null once it
+ * has burnt up.
+ * @param {{ e: number, M: number, n: number, basis: object, drag?: object }} o
+ *   osculating elements at release, with mean motion and perifocal basis
+ * @returns {number[] | null}
+ */
+export const fragmentPosition = (o, dt, u) => {
+  const k = decayed(o, o.M, o.n, dt, u);
+  return k && positionAtE({ a: k.a, e: o.e }, solveKepler(k.M, o.e), o.basis);
+};
+
+/**
+ * State of object s at time t (caller's time unit).
+ * @returns {{ r: number[], v: number[] } | null} null when SGP4 fails or the
+ *   object has re-entered
+ */
+export function orbitState(s, t, u) {
+  if (s.satrec) {
+    const st = propagateAt(s.satrec, s.simEpoch + t * u.rate * 1000);
+    return st && { r: st.r.map(x => x * u.scale), v: st.v.map(x => x * u.scale) };
+  }
+  const k = decayed(s, s.phase, s.speed, t, u);
+  return k && keplerToState(s.drag ? { ...s, a: k.a } : s, k.M, k.n / u.rate);
+}
+
+/* Orbital period of object s in the caller's time unit */
+export const orbitPeriod = (s, u) => s.satrec
+  ? 2 * Math.PI * Math.sqrt(s.a ** 3 / (MU_EARTH * u.scale ** 3 * u.rate ** 2))
+  : (2 * Math.PI) / s.speed;
+
+/**
+ * Ground tracks of every object: samples + 1 sub-points evenly spaced from
+ * `past` orbits before t to `future` orbits after, packed as [lat, lon] per
+ * sample and object after object; NaN where the object is down.
+ * @param {{ past: number, future: number, samples: number }} o
+ * @param {number} epoch UTC (ms) at t = 0
+ * @returns {Float32Array}
+ */
+export function groundTracks(sats, t, o, epoch, u) {
+  const n = o.samples + 1, span = o.past + o.future, out = new Float32Array(sats.length * n * 2);
+  sats.forEach((s, i) => {
+    const period = orbitPeriod(s, u), t0 = t - o.past * period, dt = (span * period) / o.samples;
+    for (let k = 0; k < n; k++) {
+      const tk = t0 + k * dt, st = orbitState(s, tk, u), j = (i * n + k) * 2;
+      if (!st) { out[j] = out[j + 1] = NaN; continue; }
+      const p = subPoint(st.r, epoch + tk * u.rate * 1000);
+      out[j] = p.lat; out[j + 1] = p.lon;
+    }
+  });
+  return out;
+}
+
+/**
+ * Screen every object against every other from t0 (simulated seconds) and
+ * score each conjunction with a 2D Pc. Objects without their own covariance
+ * get one from TLE age (procedural objects count as freshly fitted).
+ * @param {object} o screenConjunctions options plus `hbr` (km)
+ * @returns {{ conjunctions: { a: number, b: number, tca: number, miss: number, relSpeed: number, pc: number }[],
+ *   tracked: number }} conjunctions closest first, and how many objects are up at t0
+ */
+export function screenCatalog(sats, t0, o, u) {
+  const stateAt = (i, ts) => {
+    const st = orbitState(sats[i], ts / u.rate, u);
+    return st && { r: st.r.map(x => x / u.scale), v: st.v.map(x => x / u.scale) };
+  };
+  const withCov = (i, ts) => {
+    const s = sats[i], st = stateAt(i, ts);
+    const age = s.satrec ? (s.simEpoch + ts * 1000 - s.epoch) / 86400000 : 0;
+    return { ...st, cov: s.cov || rtnCovariance(st.r, st.v, positionSigma(age)) };
+  };
+  const conjunctions = screenConjunctions(sats.length, stateAt, { ...o, t0 })
+    .map(c => ({ ...c, pc: collisionProbability(withCov(c.a, c.tca), withCov(c.b, c.tca), o.hbr) }));
+  return { conjunctions, tracked: sats.filter((s, i) => stateAt(i, t0)).length };
+}
@@ -0,0 +1,68 @@
+/**
+ * Simulation clock.
+ *
+ * Simulated time is kept as seconds since an absolute UTC epoch and only
+ * moves when the clock is ticked with elapsed wall time, scaled by the warp
+ * rate. Negative warp runs time backwards; pausing freezes it while single
+ * steps still move it by one frame's worth at the current rate.
+ */
+
+export const WARP_MAX = 100000;
+/* Warp ladder walked by slower() / faster(), reverse through forward */
+export const WARP_STEPS = [-100000, -10000, -1000, -100, -10, -1, 1, 10, 100, 1000, 10000, 100000];
+
+const FRAME = 1 / 60; // wall seconds in one single step
+
+export class SimClock {
+  /**
+   * @param {number} epoch UTC (ms since 1970) at t = 0
+   * @param {number} warp simulated seconds per wall second
+   */
+  constructor(epoch = Date.now(), warp = 1) {
+    this.epoch = epoch;
+    this.t = 0;
+    this.warp = 1;
+    this.paused = false;
+    this.setWarp(warp);
+  }
+
+  /* Current UTC in ms since 1970 */
+  get utc() { return this.epoch + this.t * 1000; }
+
+  /* Advance by dt wall seconds; returns simulated seconds since the epoch */
+  tick(dt) {
+    if (!this.paused) this.t += dt * this.warp;
+    return this.t;
+  }
+
+  /* One frame forward (dir 1) or back (dir -1) at the current rate */
+  step(dir = 1) {
+    this.t += Math.sign(dir) * FRAME * Math.abs(this.warp);
+    return this.t;
+  }
+
+  /* Magnitude clamped to [1, WARP_MAX], sign kept */
+  setWarp(w) {
+    this.warp = (w < 0 ? -1 : 1) * Math.min(WARP_MAX, Math.max(1, Math.abs(w) || 1));
+    return this.warp;
+  }
+
+  faster() { return this.setWarp(WARP_STEPS.find(w => w > this.warp) ?? WARP_MAX); }
+  slower() { return this.setWarp([...WARP_STEPS].reverse().find(w => w < this.warp) ?? -WARP_MAX); }
+
+  pause(on = !this.paused) {
+    this.paused = on;
+    return on;
+  }
+
+  /* Jump to t simulated seconds since the epoch */
+  seek(t) {
+    this.t = t;
+    return t;
+  }
+
+  /* Re-anchor so the current instant reads as `utc`, keeping t */
+  setUtc(utc) {
+    this.epoch = utc - this.t * 1000;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * All-vs-all conjunction screening.
+ *
+ * The window is walked in coarse steps. At each step every object is binned
+ * into a spatial hash whose cell size covers the screening threshold plus the
+ * furthest two objects can close on each other within one step, so only pairs
+ * in the same or a neighbouring cell are examined. Each candidate gets a
+ * straight-line closest approach over the step and, if that comes near the
+ * threshold, is refined to the time of closest approach (TCA) on the
+ * propagated states.
+ *
+ * Units are whatever `stateAt` returns (the engine uses km and seconds).
+ */
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = a => Math.sqrt(dot(a, a));
+
+/* Newton iteration on d/dt |Δr|² = 0, clamped to [lo, hi] */
+function refineTCA(stateAt, a, b, t, lo, hi) {
+  let ra, rb;
+  for (let k = 0; k < 12; k++) {
+    ra = stateAt(a, t); rb = stateAt(b, t);
+    if (!ra || !rb) return null;
+    const dr = sub(rb.r, ra.r), dv = sub(rb.v, ra.v);
+    const vv = dot(dv, dv);
+    if (vv === 0) break;
+    const next = Math.min(hi, Math.max(lo, t - dot(dr, dv) / vv));
+    const done = Math.abs(next - t) < 1e-3;
+    t = next;
+    if (done) break;
+  }
+  ra = stateAt(a, t); rb = stateAt(b, t);
+  if (!ra || !rb) return null;
+  return { tca: t, miss: norm(sub(rb.r, ra.r)), relSpeed: norm(sub(rb.v, ra.v)) };
+}
+
+/**
+ * Screen `count` objects against each other.
+ * @param {number} count number of objects
+ * @param {(i: number, t: number) => ({ r: number[], v: number[] } | null)} stateAt
+ *   state of object i at time t; null when it no longer exists
+ * @param {{ t0?: number, window?: number, step?: number, threshold?: number, max?: number }} opts
+ * @returns {{ a: number, b: number, tca: number, miss: number, relSpeed: number }[]}
+ *   conjunctions closer than `threshold`, closest (then fastest) first
+ */
+export function screenConjunctions(count, stateAt, opts = {}) {
+  const { t0 = 0, window = 7200, step = 20, threshold = 50, max = 100 } = opts;
+  const t1 = t0 + window;
+  const found = new Map();
+  const states = new Array(count);
+  const grid = new Map();
+
+  for (let t = t0; t < t1; t += step) {
+    let vmax = 0, amax = 0;
+    for (let i = 0; i < count; i++) {
+      const s = stateAt(i, t);
+      states[i] = s;
+      if (!s) continue;
+      const v = norm(s.v), r = norm(s.r);
+      if (v > vmax) vmax = v;
+      if (r > 0 && (v * v) / r > amax) amax = (v * v) / r;
+    }
+    const h = Math.min(step, t1 - t);
+    const reach = threshold + 2 * vmax * h;
+    const bend = amax * h * h;
+    grid.clear();
+
+    for (let i = 0; i < count; i++) {
+      const si = states[i];
+      if (!si) continue;
+      const cx = Math.floor(si.r[0] / reach), cy = Math.floor(si.r[1] / reach), cz = Math.floor(si.r[2] / reach);
+      for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) for (let dz = -1; dz <= 1; dz++) {
+        const cell = grid.get(`${cx + dx},${cy + dy},${cz + dz}`);
+        if (!cell) continue;
+        for (const j of cell) {
+          const sj = states[j];
+          const dr = sub(si.r, sj.r), dv = sub(si.v, sj.v);
+          const vv = dot(dv, dv);
+          const tau = vv > 0 ? Math.min(h, Math.max(0, -dot(dr, dv) / vv)) : 0;
+          const lin = norm([dr[0] + dv[0] * tau, dr[1] + dv[1] * tau, dr[2] + dv[2] * tau]);
+          if (lin > threshold + bend) continue;
+
+          const c = refineTCA(stateAt, j, i, t + tau, Math.max(t0, t - h), Math.min(t1, t + 2 * h));
+          if (!c || c.miss >= threshold) continue;
+          const key = `${j}:${i}`;
+          const list = found.get(key) || [];
+          const dup = list.find(e => Math.abs(e.tca - c.tca) < step);
+          if (dup) { if (c.miss < dup.miss) Object.assign(dup, c); }
+          else { list.push({ a: j, b: i, ...c }); found.set(key, list); }
+        }
+      }
+      const key = `${cx},${cy},${cz}`;
+      const cell = grid.get(key);
+      if (cell) cell.push(i); else grid.set(key, [i]);
+    }
+  }
+
+  const out = [];
+  found.forEach(list => out.push(...list));
+  return out.sort((x, y) => x.miss - y.miss || y.relSpeed - x.relSpeed).slice(0, max);
+}
@@ -0,0 +1,15 @@
+/* Physical constants shared by the simulation modules (km, s) */
+
+export const RE_KM = 6378.137;          // WGS-84 equatorial radius
+export const MU_EARTH = 398600.4418;    // km³/s²
+export const AU_KM = 149597870.7;
+export const R_SUN_KM = 696000;
+export const SEC_PER_DAY = 86400;
+export const TWO_PI = Math.PI * 2;
+export const DEG = Math.PI / 180;
+
+/* Mean motion (rev/day) ↔ semi-major axis (km) */
+export const meanMotionToSma = revPerDay => {
+  const n = (revPerDay * TWO_PI) / SEC_PER_DAY;
+  return Math.cbrt(MU_EARTH / (n * n));
+};
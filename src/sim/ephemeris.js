@@ -0,0 +1,69 @@
+/**
+ * Earth orientation, a low-precision solar ephemeris and Earth's shadow.
+ *
+ * GMST follows IAU-82 (Vallado eq. 3-45), and sgp4.js takes its resonance
+ * phase from the same function; the Sun is the Astronomical Almanac's
+ * low-precision series (about 0.01° from 1950 to 2050), in the mean-equator
+ * frame that SGP4's TEME output is close enough to for lighting. The shadow
+ * is the conical umbra / penumbra model of Montenbruck & Gill §3.4.2.
+ *
+ * Time is UTC in ms since 1970 (UT1 and TT are not distinguished); lengths
+ * in km.
+ */
+
+import { RE_KM, AU_KM, R_SUN_KM, SEC_PER_DAY, TWO_PI, DEG } from "./constants.js";
+
+export const julianDate = ms => ms / (SEC_PER_DAY * 1000) + 2440587.5;
+
+const centuries = ms => (julianDate(ms) - 2451545.0) / 36525;
+
+/* Greenwich mean sidereal time (rad, [0, 2π)) */
+export function gmst(ms) {
+  const T = centuries(ms);
+  const sec = 67310.54841 + (876600 * 3600 + 8640184.812866) * T + 0.093104 * T * T - 6.2e-6 * T * T * T;
+  const th = ((sec % SEC_PER_DAY) / SEC_PER_DAY) * TWO_PI;
+  return th < 0 ? th + TWO_PI : th;
+}
+
+/**
+ * Geocentric position of the Sun.
+ * @returns {{ dir: number[], dist: number }} inertial unit vector and distance (km)
+ */
+export function sunPosition(ms) {
+  const T = centuries(ms);
+  const L = (280.460 + 36000.771 * T) * DEG;
+  const M = (357.5291092 + 35999.05034 * T) * DEG;
+  const lam = L + (1.914666471 * Math.sin(M) + 0.019994643 * Math.sin(2 * M)) * DEG;
+  const eps = (23.439291 - 0.0130042 * T) * DEG;
+  const r = 1.000140612 - 0.016708617 * Math.cos(M) - 0.000139589 * Math.cos(2 * M);
+  return { dir: [Math.cos(lam), Math.cos(eps) * Math.sin(lam), Math.sin(eps) * Math.sin(lam)], dist: r * AU_KM };
+}
+
+/**
+ * Fraction of the solar disc visible from position r: 1 sunlit, 0 in umbra,
+ * in between in penumbra.
+ * @param {number[]} r inertial position (km)
+ * @param {{ dir: number[], dist: number }} sun from sunPosition
+ */
+export function sunlit(r, sun) {
+  const s = [sun.dir[0] * sun.dist - r[0], sun.dir[1] * sun.dist - r[1], sun.dir[2] * sun.dist - r[2]];
+  const rl = Math.hypot(r[0], r[1], r[2]), sl = Math.hypot(s[0], s[1], s[2]);
+  const a = Math.asin(Math.min(1, R_SUN_KM / sl));   // apparent radius of the Sun
+  const b = Math.asin(Math.min(1, RE_KM / rl));      // apparent radius of the Earth
+  const c = Math.acos(Math.max(-1, Math.min(1, -(r[0] * s[0] + r[1] * s[1] + r[2] * s[2]) / (rl * sl))));
+  if (c >= a + b) return 1;
+  if (c <= b - a) return 0;
+  if (c <= a - b) return 1 - (b * b) / (a * a);
+  const x = (c * c + a * a - b * b) / (2 * c), y = Math.sqrt(Math.max(0, a * a - x * x));
+  const overlap = a * a * Math.acos(x / a) + b * b * Math.acos((c - x) / b) - c * y;
+  return 1 - overlap / (Math.PI * a * a);
+}
+
+/**
+ * Sub-point of an inertial position: the geocentric latitude and Earth-fixed
+ * longitude (rad, longitude in [-π, π)) directly beneath it at UTC ms.
+ */
+export function subPoint(r, ms) {
+  const lon = Math.atan2(r[1], r[0]) - gmst(ms);
+  return { lat: Math.atan2(r[2], Math.hypot(r[0], r[1])), lon: lon - TWO_PI * Math.floor((lon + Math.PI) / TWO_PI) };
+}
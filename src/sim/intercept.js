@@ -0,0 +1,59 @@
+/**
+ * Crossing orbits for a staged collision.
+ *
+ * Two circular orbits of the same radius can only meet on their line of
+ * nodes, where the planes intersect. There both velocities are perpendicular
+ * to that line, so the angle θ between them is the angle between the planes
+ * and the impact speed is 2 · v · sin(θ/2) for circular speed v. For given
+ * inclinations the separation of the ascending nodes ΔΩ that yields θ
+ * follows from the spherical law of cosines:
+ *
+ *   cos θ = cos i₁ cos i₂ + sin i₁ sin i₂ cos ΔΩ
+ *
+ * An impact speed the two inclinations cannot produce is clamped to the
+ * nearest one they can.
+ *
+ * Units: km, km/s and radians.
+ */
+
+import { RE_KM, MU_EARTH, TWO_PI } from "./constants.js";
+
+const clamp1 = x => Math.min(1, Math.max(-1, x));
+const normal = (i, O) => [Math.sin(i) * Math.sin(O), -Math.sin(i) * Math.cos(O), Math.cos(i)];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+/* Argument of latitude of direction l in the plane (i, Ω) */
+const latitudeOf = (l, i, O) => {
+  const p = l[0] * Math.cos(O) + l[1] * Math.sin(O);
+  const q = (-l[0] * Math.sin(O) + l[1] * Math.cos(O)) * Math.cos(i) + l[2] * Math.sin(i);
+  return (Math.atan2(q, p) + TWO_PI) % TWO_PI;
+};
+
+/**
+ * Two circular orbits that cross at altitude `alt` with impact speed `vRel`.
+ * @param {{ alt: number, incA: number, incB: number, vRel: number, raan0?: number }} x
+ *   crossing altitude (km), both inclinations, wanted impact speed (km/s) and
+ *   the first orbit's ascending node
+ * @returns {{ a: number, raanA: number, raanB: number, uA: number, uB: number, vRel: number }}
+ *   shared semi-major axis, both ascending nodes, each orbit's argument of
+ *   latitude at the crossing, and the impact speed actually reached
+ */
+export function crossingOrbits({ alt, incA, incB, vRel, raan0 = 0 }) {
+  const a = RE_KM + alt, v = Math.sqrt(MU_EARTH / a);
+  const theta = 2 * Math.asin(Math.min(1, vRel / (2 * v)));
+  const den = Math.sin(incA) * Math.sin(incB);
+  const dO = den > 1e-9 ? Math.acos(clamp1((Math.cos(theta) - Math.cos(incA) * Math.cos(incB)) / den)) : 0;
+  const raanA = ((raan0 % TWO_PI) + TWO_PI) % TWO_PI, raanB = (raanA + dO) % TWO_PI;
+
+  const nA = normal(incA, raanA), nB = normal(incB, raanB);
+  let l = cross(nA, nB);
+  const len = Math.hypot(...l);
+  // coplanar orbits share every point; meet at A's ascending node
+  l = len > 1e-9 ? l.map(x => x / len) : [Math.cos(raanA), Math.sin(raanA), 0];
+  const cosT = clamp1(nA[0] * nB[0] + nA[1] * nB[1] + nA[2] * nB[2]);
+  return {
+    a, raanA, raanB,
+    uA: latitudeOf(l, incA, raanA), uB: latitudeOf(l, incB, raanB),
+    vRel: 2 * v * Math.sin(Math.acos(cosT) / 2),
+  };
+}
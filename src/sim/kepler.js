@@ -0,0 +1,111 @@
+/**
+ * Two-body Keplerian orbits from classical elements.
+ *
+ * Elements: { a, e, inc, raan, argp } with angles in radians; the sixth
+ * element, mean anomaly, is passed per call. Length and time units are
+ * whatever `a` and the mean motion are expressed in. Positions come back in
+ * an inertial, z-up (ECI-style) frame.
+ */
+
+import { TWO_PI } from "./constants.js";
+
+/* Wrap an angle into [-π, π) */
+const wrapPi = x => x - TWO_PI * Math.floor((x + Math.PI) / TWO_PI);
+
+/* Eccentric anomaly from mean anomaly (Newton–Raphson, elliptic orbits) */
+export const solveKepler = (M, e, tol = 1e-12) => {
+  const m = wrapPi(M);
+  let E = e < 0.8 ? m : Math.sign(m || 1) * Math.PI;
+  for (let i = 0; i < 30; i++) {
+    const d = (E - e * Math.sin(E) - m) / (1 - e * Math.cos(E));
+    E -= d;
+    if (Math.abs(d) < tol) break;
+  }
+  return E + (M - m);
+};
+
+export const trueFromEccentric = (E, e) =>
+  2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+
+/* Mean motion (rad per time unit) for semi-major axis a under gravitational parameter mu */
+export const meanMotion = (a, mu) => Math.sqrt(mu / (a * a * a));
+
+/* Perifocal basis vectors P (towards perigee) and Q (90° ahead in the orbit plane) */
+export const perifocalBasis = ({ inc, raan, argp }) => {
+  const cO = Math.cos(raan), sO = Math.sin(raan);
+  const cw = Math.cos(argp), sw = Math.sin(argp);
+  const ci = Math.cos(inc), si = Math.sin(inc);
+  return {
+    P: [cO * cw - sO * sw * ci, sO * cw + cO * sw * ci, sw * si],
+    Q: [-cO * sw - sO * cw * ci, -sO * sw + cO * cw * ci, cw * si],
+  };
+};
+
+/**
+ * Position at eccentric anomaly E — used to trace the orbit ellipse evenly.
+ * @returns {number[]} [x, y, z]
+ */
+export const positionAtE = (el, E, basis = perifocalBasis(el)) => {
+  const x = el.a * (Math.cos(E) - el.e);
+  const y = el.a * Math.sqrt(1 - el.e * el.e) * Math.sin(E);
+  const { P, Q } = basis;
+  return [P[0] * x + Q[0] * y, P[1] * x + Q[1] * y, P[2] * x + Q[2] * y];
+};
+
+/**
+ * State vector at mean anomaly M.
+ * @param {object} el classical elements
+ * @param {number} M mean anomaly (rad)
+ * @param {number} n mean motion, sets the velocity time unit
+ * @returns {{ r: number[], v: number[] }}
+ */
+export function keplerToState(el, M, n, basis = perifocalBasis(el)) {
+  const { a, e } = el;
+  const E = solveKepler(M, e);
+  const cE = Math.cos(E), sE = Math.sin(E);
+  const b = Math.sqrt(1 - e * e);
+  const x = a * (cE - e), y = a * b * sE;
+  const k = (n * a) / (1 - e * cE);
+  const vx = -k * sE, vy = k * b * cE;
+  const { P, Q } = basis;
+  return {
+    r: [P[0] * x + Q[0] * y, P[1] * x + Q[1] * y, P[2] * x + Q[2] * y],
+    v: [P[0] * vx + Q[0] * vy, P[1] * vx + Q[1] * vy, P[2] * vx + Q[2] * vy],
+  };
+}
+
+/**
+ * Osculating elements from a state vector — the inverse of keplerToState.
+ * Undefined angles fall back to zero: RAAN for equatorial orbits, argument
+ * of perigee for circular ones (M is then measured from the node).
+ * @returns {{ a: number, e: number, inc: number, raan: number, argp: number, M: number } | null}
+ *   null when the orbit is not bound
+ */
+export function stateToKepler(r, v, mu) {
+  const dot = (x, y) => x[0] * y[0] + x[1] * y[1] + x[2] * y[2];
+  const rm = Math.sqrt(dot(r, r)), v2 = dot(v, v);
+  const energy = v2 / 2 - mu / rm;
+  if (energy >= 0) return null;
+  const a = -mu / (2 * energy);
+
+  const h = [r[1] * v[2] - r[2] * v[1], r[2] * v[0] - r[0] * v[2], r[0] * v[1] - r[1] * v[0]];
+  const hm = Math.sqrt(dot(h, h));
+  const rv = dot(r, v);
+  const ev = [0, 1, 2].map(k => ((v2 - mu / rm) * r[k] - rv * v[k]) / mu);
+  const e = Math.sqrt(dot(ev, ev));
+  const inc = Math.acos(Math.max(-1, Math.min(1, h[2] / hm)));
+
+  const nv = [-h[1], h[0], 0];
+  const nm = Math.hypot(nv[0], nv[1]);
+  const node = nm > 1e-12 ? [nv[0] / nm, nv[1] / nm, 0] : [1, 0, 0];
+  const raan = nm > 1e-12 ? Math.atan2(node[1], node[0]) : 0;
+  const w = [h[0] / hm, h[1] / hm, h[2] / hm];
+  // in-plane angle of x measured from the node, positive along the motion
+  const angle = x => Math.atan2(dot(w, [node[1] * x[2] - node[2] * x[1], node[2] * x[0] - node[0] * x[2], node[0] * x[1] - node[1] * x[0]]), dot(node, x));
+
+  const circular = e < 1e-9;
+  const argp = circular ? 0 : angle(ev);
+  const nu = angle(r) - argp;
+  const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+  return { a, e, inc, raan: (raan + TWO_PI) % TWO_PI, argp: (argp + TWO_PI) % TWO_PI, M: E - e * Math.sin(E) };
+}
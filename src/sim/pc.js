@@ -0,0 +1,114 @@
+/**
+ * Probability of collision (Pc) for a short-duration encounter.
+ *
+ * Both objects are treated as moving in straight lines through TCA, so the
+ * problem collapses onto the encounter plane normal to the relative velocity:
+ * Pc is the mass of the combined 2D position Gaussian that falls inside a disc
+ * of the combined hard-body radius centred on the other object. `pcFoster`
+ * integrates that directly; `pcChan` is Chan's series for the same integral.
+ *
+ * Units: km and km/s throughout.
+ */
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = a => { const l = Math.sqrt(dot(a, a)) || 1; return [a[0] / l, a[1] / l, a[2] / l]; };
+
+/* 1σ position error (km) of a TLE-propagated object, radial / in-track / cross-track,
+   growing with time since epoch (a rough fit; real screening uses owner ephemerides) */
+export const positionSigma = ageDays => {
+  const d = Math.abs(ageDays);
+  return [0.05 + 0.02 * d, 0.2 + 0.5 * d, 0.05 + 0.02 * d];
+};
+
+/**
+ * Inertial 3×3 covariance from radial / in-track / cross-track 1σ values.
+ * @returns {number[][]}
+ */
+export function rtnCovariance(r, v, [sr, st, sn]) {
+  const R = unit(r), N = unit(cross(r, v)), T = cross(N, R);
+  const axes = [[R, sr * sr], [T, st * st], [N, sn * sn]];
+  const C = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (const [e, s2] of axes) for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) C[i][j] += s2 * e[i] * e[j];
+  return C;
+}
+
+/* Encounter-plane axes: x along the miss vector, y completing the plane normal to Δv */
+export function encounterPlane(dr, dv) {
+  const z = unit(dv);
+  let x = [dr[0] - z[0] * dot(dr, z), dr[1] - z[1] * dot(dr, z), dr[2] - z[2] * dot(dr, z)];
+  if (dot(x, x) < 1e-18) x = cross(z, Math.abs(z[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]);
+  x = unit(x);
+  return { x, y: cross(z, x) };
+}
+
+const project = (C, a, b) => {
+  let s = 0;
+  for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) s += a[i] * C[i][j] * b[j];
+  return s;
+};
+
+/* Rotate the miss vector into the principal axes of the 2×2 covariance */
+function principal([mx, my], [[cxx, cxy], [, cyy]]) {
+  const phi = 0.5 * Math.atan2(2 * cxy, cxx - cyy);
+  const c = Math.cos(phi), s = Math.sin(phi);
+  const sx2 = cxx * c * c + 2 * cxy * s * c + cyy * s * s;
+  const sy2 = cxx * s * s - 2 * cxy * s * c + cyy * c * c;
+  return { x: mx * c + my * s, y: -mx * s + my * c, sx: Math.sqrt(Math.max(sx2, 1e-18)), sy: Math.sqrt(Math.max(sy2, 1e-18)) };
+}
+
+/**
+ * Foster: numeric integration of the encounter-plane Gaussian over the hard-body disc.
+ * @param {number[]} miss [x, y] miss vector in the encounter plane
+ * @param {number[][]} cov 2×2 combined covariance
+ * @param {number} hbr combined hard-body radius
+ */
+export function pcFoster(miss, cov, hbr, nr = 48, nt = 96) {
+  const { x, y, sx, sy } = principal(miss, cov);
+  const dr = hbr / nr, dt = (2 * Math.PI) / nt;
+  let sum = 0;
+  for (let i = 0; i < nr; i++) {
+    const r = (i + 0.5) * dr;
+    for (let j = 0; j < nt; j++) {
+      const th = (j + 0.5) * dt;
+      const u = (r * Math.cos(th) - x) / sx, w = (r * Math.sin(th) - y) / sy;
+      sum += Math.exp(-0.5 * (u * u + w * w)) * r;
+    }
+  }
+  return Math.min(1, (sum * dr * dt) / (2 * Math.PI * sx * sy));
+}
+
+/**
+ * Chan: series form of the same integral, treating the disc as an
+ * equal-area ellipse in the covariance principal frame.
+ */
+export function pcChan(miss, cov, hbr, terms = 60) {
+  const { x, y, sx, sy } = principal(miss, cov);
+  const u = (hbr * hbr) / (sx * sy);
+  const v = (x / sx) ** 2 + (y / sy) ** 2;
+  let pc = 0, vm = 1, uk = 1, inner = 1;
+  for (let m = 0; m < terms; m++) {
+    if (m > 0) { vm *= v / (2 * m); uk *= u / (2 * m); inner += uk; }
+    const term = vm * (1 - Math.exp(-u / 2) * inner);
+    pc += term;
+    if (m > 4 && term < pc * 1e-12) break;
+  }
+  return Math.min(1, Math.exp(-v / 2) * pc);
+}
+
+/**
+ * Pc for two objects at their time of closest approach.
+ * @param {{ r: number[], v: number[], cov: number[][] }} a state and 3×3 position covariance
+ * @param {{ r: number[], v: number[], cov: number[][] }} b
+ * @param {number} hbr combined hard-body radius (km)
+ * @param {"foster" | "chan"} method
+ */
+export function collisionProbability(a, b, hbr, method = "foster") {
+  const dr = [b.r[0] - a.r[0], b.r[1] - a.r[1], b.r[2] - a.r[2]];
+  const dv = [b.v[0] - a.v[0], b.v[1] - a.v[1], b.v[2] - a.v[2]];
+  const C = a.cov.map((row, i) => row.map((c, j) => c + b.cov[i][j]));
+  const { x, y } = encounterPlane(dr, dv);
+  const miss = [dot(dr, x), dot(dr, y)];
+  const cov2 = [[project(C, x, x), project(C, x, y)], [project(C, y, x), project(C, y, y)]];
+  return (method === "chan" ? pcChan : pcFoster)(miss, cov2, hbr);
+}
@@ -0,0 +1,664 @@
+/**
+ * SGP4 / SDP4 orbit propagator.
+ *
+ * Follows the revised Spacetrack Report #3 formulation (Vallado, Crawford,
+ * Hujsak & Kelso, AIAA 2006-6753) in "improved" operation mode with WGS-72
+ * constants, which is what published TLEs are fitted against. Orbits with a
+ * period of 225 min or more switch to the deep-space (SDP4) branch with lunar /
+ * solar periodics and 12 h / 24 h resonance integration.
+ *
+ * Output is TEME (true equator, mean equinox) position in km and velocity in
+ * km/s — close enough to ECI for visualization and screening.
+ */
+
+import { TWO_PI } from "./constants.js";
+import { julianDate, gmst } from "./ephemeris.js";
+
+const PI = Math.PI;
+const MU = 398600.8;
+const RE = 6378.135;
+const XKE = 60 / Math.sqrt((RE * RE * RE) / MU);
+const TUMIN = 1 / XKE;
+const VKMPERSEC = (RE * XKE) / 60;
+const J2 = 0.001082616;
+const J3 = -0.00000253881;
+const J4 = -0.00000165597;
+const J3OJ2 = J3 / J2;
+const X2O3 = 2 / 3;
+const TEMP4 = 1.5e-12;
+
+/* Propagation failure codes, as in the reference implementation */
+export const SGP4_ERRORS = {
+  1: "mean eccentricity out of range",
+  2: "mean motion below zero",
+  3: "perturbed eccentricity out of range",
+  4: "semi-latus rectum below zero",
+  6: "orbit has decayed",
+};
+
+/* ── Deep-space common terms (lunar / solar) ────────────────────────── */
+function dscom(s, epoch, ep, argpp, tc, inclp, nodep, np) {
+  const zes = 0.01675, zel = 0.0549, c1ss = 2.9864797e-6, c1l = 4.7968065e-7;
+  const zsinis = 0.39785416, zcosis = 0.91744867, zcosgs = 0.1945905, zsings = -0.98088458;
+
+  const nm = np, em = ep;
+  const snodm = Math.sin(nodep), cnodm = Math.cos(nodep);
+  const sinomm = Math.sin(argpp), cosomm = Math.cos(argpp);
+  const sinim = Math.sin(inclp), cosim = Math.cos(inclp);
+  const emsq = em * em, betasq = 1 - emsq, rtemsq = Math.sqrt(betasq);
+
+  s.peo = 0; s.pinco = 0; s.plo = 0; s.pgho = 0; s.pho = 0;
+  const day = epoch + 18261.5 + tc / 1440.0;
+  const xnodce = (4.523602 - 9.2422029e-4 * day) % TWO_PI;
+  const stem = Math.sin(xnodce), ctem = Math.cos(xnodce);
+  const zcosil = 0.91375164 - 0.03568096 * ctem;
+  const zsinil = Math.sqrt(1 - zcosil * zcosil);
+  const zsinhl = (0.089683511 * stem) / zsinil;
+  const zcoshl = Math.sqrt(1 - zsinhl * zsinhl);
+  const gam = 5.8351514 + 0.001944368 * day;
+  let zx = (0.39785416 * stem) / zsinil;
+  const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+  zx = Math.atan2(zx, zy) + gam - xnodce;
+  const zcosgl = Math.cos(zx), zsingl = Math.sin(zx);
+
+  let zcosg = zcosgs, zsing = zsings, zcosi = zcosis, zsini = zsinis, zcosh = cnodm, zsinh = snodm, cc = c1ss;
+  const xnoi = 1 / nm;
+  const out = {};
+  let z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33, s1, s2, s3, s4, s5, s6, s7;
+
+  // First pass solar, second pass lunar
+  for (let lsflg = 1; lsflg <= 2; lsflg++) {
+    const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+    const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+    const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+    const a8 = zsing * zsini;
+    const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+    const a10 = zcosg * zsini;
+    const a2 = cosim * a7 + sinim * a8;
+    const a4 = cosim * a9 + sinim * a10;
+    const a5 = -sinim * a7 + cosim * a8;
+    const a6 = -sinim * a9 + cosim * a10;
+
+    const x1 = a1 * cosomm + a2 * sinomm;
+    const x2 = a3 * cosomm + a4 * sinomm;
+    const x3 = -a1 * sinomm + a2 * cosomm;
+    const x4 = -a3 * sinomm + a4 * cosomm;
+    const x5 = a5 * sinomm, x6 = a6 * sinomm, x7 = a5 * cosomm, x8 = a6 * cosomm;
+
+    z31 = 12 * x1 * x1 - 3 * x3 * x3;
+    z32 = 24 * x1 * x2 - 6 * x3 * x4;
+    z33 = 12 * x2 * x2 - 3 * x4 * x4;
+    z1 = 3 * (a1 * a1 + a2 * a2) + z31 * emsq;
+    z2 = 6 * (a1 * a3 + a2 * a4) + z32 * emsq;
+    z3 = 3 * (a3 * a3 + a4 * a4) + z33 * emsq;
+    z11 = -6 * a1 * a5 + emsq * (-24 * x1 * x7 - 6 * x3 * x5);
+    z12 = -6 * (a1 * a6 + a3 * a5) + emsq * (-24 * (x2 * x7 + x1 * x8) + -6 * (x3 * x6 + x4 * x5));
+    z13 = -6 * a3 * a6 + emsq * (-24 * x2 * x8 - 6 * x4 * x6);
+    z21 = 6 * a2 * a5 + emsq * (24 * x1 * x5 - 6 * x3 * x7);
+    z22 = 6 * (a4 * a5 + a2 * a6) + emsq * (24 * (x2 * x5 + x1 * x6) - 6 * (x4 * x7 + x3 * x8));
+    z23 = 6 * a4 * a6 + emsq * (24 * x2 * x6 - 6 * x4 * x8);
+    z1 = z1 + z1 + betasq * z31;
+    z2 = z2 + z2 + betasq * z32;
+    z3 = z3 + z3 + betasq * z33;
+    s3 = cc * xnoi;
+    s2 = (-0.5 * s3) / rtemsq;
+    s4 = s3 * rtemsq;
+    s1 = -15 * em * s4;
+    s5 = x1 * x3 + x2 * x4;
+    s6 = x2 * x3 + x1 * x4;
+    s7 = x2 * x4 - x1 * x3;
+
+    if (lsflg === 1) {
+      Object.assign(out, {
+        ss1: s1, ss2: s2, ss3: s3, ss4: s4, ss5: s5, ss6: s6, ss7: s7,
+        sz1: z1, sz2: z2, sz3: z3, sz11: z11, sz12: z12, sz13: z13,
+        sz21: z21, sz22: z22, sz23: z23, sz31: z31, sz32: z32, sz33: z33,
+      });
+      zcosg = zcosgl; zsing = zsingl; zcosi = zcosil; zsini = zsinil;
+      zcosh = zcoshl * cnodm + zsinhl * snodm;
+      zsinh = snodm * zcoshl - cnodm * zsinhl;
+      cc = c1l;
+    }
+  }
+
+  s.zmol = (4.7199672 + (0.2299715 * day - gam)) % TWO_PI;
+  s.zmos = (6.2565837 + 0.017201977 * day) % TWO_PI;
+
+  const { ss1, ss2, ss3, ss4, ss6, ss7, sz1, sz2, sz3, sz11, sz12, sz13, sz21, sz22, sz23, sz31, sz32, sz33 } = out;
+  s.se2 = 2 * ss1 * ss6;
+  s.se3 = 2 * ss1 * ss7;
+  s.si2 = 2 * ss2 * sz12;
+  s.si3 = 2 * ss2 * (sz13 - sz11);
+  s.sl2 = -2 * ss3 * sz2;
+  s.sl3 = -2 * ss3 * (sz3 - sz1);
+  s.sl4 = -2 * ss3 * (-21 - 9 * emsq) * zes;
+  s.sgh2 = 2 * ss4 * sz32;
+  s.sgh3 = 2 * ss4 * (sz33 - sz31);
+  s.sgh4 = -18 * ss4 * zes;
+  s.sh2 = -2 * ss2 * sz22;
+  s.sh3 = -2 * ss2 * (sz23 - sz21);
+
+  s.ee2 = 2 * s1 * s6;
+  s.e3 = 2 * s1 * s7;
+  s.xi2 = 2 * s2 * z12;
+  s.xi3 = 2 * s2 * (z13 - z11);
+  s.xl2 = -2 * s3 * z2;
+  s.xl3 = -2 * s3 * (z3 - z1);
+  s.xl4 = -2 * s3 * (-21 - 9 * emsq) * zel;
+  s.xgh2 = 2 * s4 * z32;
+  s.xgh3 = 2 * s4 * (z33 - z31);
+  s.xgh4 = -18 * s4 * zel;
+  s.xh2 = -2 * s2 * z22;
+  s.xh3 = -2 * s2 * (z23 - z21);
+
+  return { ...out, sinim, cosim, em, emsq, nm, s1, s2, s3, s4, s5, z1, z3, z11, z13, z21, z23, z31, z33 };
+}
+
+/* ── Deep-space long-period periodics ───────────────────────────────── */
+function dpper(s, ep, inclp, nodep, argpp, mp) {
+  const zns = 1.19459e-5, zes = 0.01675, znl = 1.5835218e-4, zel = 0.0549;
+
+  let zm = s.zmos + zns * s.t;
+  let zf = zm + 2 * zes * Math.sin(zm);
+  let sinzf = Math.sin(zf);
+  let f2 = 0.5 * sinzf * sinzf - 0.25;
+  let f3 = -0.5 * sinzf * Math.cos(zf);
+  const ses = s.se2 * f2 + s.se3 * f3;
+  const sis = s.si2 * f2 + s.si3 * f3;
+  const sls = s.sl2 * f2 + s.sl3 * f3 + s.sl4 * sinzf;
+  const sghs = s.sgh2 * f2 + s.sgh3 * f3 + s.sgh4 * sinzf;
+  const shs = s.sh2 * f2 + s.sh3 * f3;
+
+  zm = s.zmol + znl * s.t;
+  zf = zm + 2 * zel * Math.sin(zm);
+  sinzf = Math.sin(zf);
+  f2 = 0.5 * sinzf * sinzf - 0.25;
+  f3 = -0.5 * sinzf * Math.cos(zf);
+  const sel = s.ee2 * f2 + s.e3 * f3;
+  const sil = s.xi2 * f2 + s.xi3 * f3;
+  const sll = s.xl2 * f2 + s.xl3 * f3 + s.xl4 * sinzf;
+  const sghl = s.xgh2 * f2 + s.xgh3 * f3 + s.xgh4 * sinzf;
+  const shll = s.xh2 * f2 + s.xh3 * f3;
+
+  const pe = ses + sel - s.peo;
+  const pinc = sis + sil - s.pinco;
+  const pl = sls + sll - s.plo;
+  let pgh = sghs + sghl - s.pgho;
+  let ph = shs + shll - s.pho;
+
+  inclp += pinc;
+  ep += pe;
+  const sinip = Math.sin(inclp), cosip = Math.cos(inclp);
+
+  if (inclp >= 0.2) {
+    ph /= sinip;
+    pgh -= cosip * ph;
+    argpp += pgh;
+    nodep += ph;
+    mp += pl;
+  } else {
+    // Lyddane modification for low inclinations
+    const sinop = Math.sin(nodep), cosop = Math.cos(nodep);
+    let alfdp = sinip * sinop, betdp = sinip * cosop;
+    alfdp += ph * cosop + pinc * cosip * sinop;
+    betdp += -ph * sinop + pinc * cosip * cosop;
+    nodep %= TWO_PI;
+    let xls = mp + argpp + cosip * nodep;
+    xls += pl + pgh - pinc * nodep * sinip;
+    const xnoh = nodep;
+    nodep = Math.atan2(alfdp, betdp);
+    if (Math.abs(xnoh - nodep) > PI) nodep += nodep < xnoh ? TWO_PI : -TWO_PI;
+    mp += pl;
+    argpp = xls - mp - cosip * nodep;
+  }
+  return { ep, inclp, nodep, argpp, mp };
+}
+
+/* ── Deep-space secular rates and resonance set-up ──────────────────── */
+function dsinit(s, d, tc, xpidot, eccsq) {
+  const q22 = 1.7891679e-6, q31 = 2.1460748e-6, q33 = 2.2123015e-7;
+  const root22 = 1.7891679e-6, root44 = 7.3636953e-9, root54 = 2.1765803e-9;
+  const root32 = 3.7393792e-7, root52 = 1.1428639e-7;
+  const rptim = 4.3752690880113e-3;    // Earth rotation, rad/min
+  const znl = 1.5835218e-4, zns = 1.19459e-5;
+  const { cosim, sinim, emsq, s1, s2, s3, s4, s5, ss1, ss2, ss3, ss4, ss5 } = d;
+  const { sz1, sz3, sz11, sz13, sz21, sz23, sz31, sz33, z1, z3, z11, z13, z21, z23, z31, z33 } = d;
+  const nm = d.nm;
+  const inclm = s.inclo;
+
+  s.irez = 0;
+  if (nm < 0.0052359877 && nm > 0.0034906585) s.irez = 1;
+  if (nm >= 8.26e-3 && nm <= 9.24e-3 && d.em >= 0.5) s.irez = 2;
+
+  // Solar terms
+  const ses = ss1 * zns * ss5;
+  const sis = ss2 * zns * (sz11 + sz13);
+  const sls = -zns * ss3 * (sz1 + sz3 - 14 - 6 * emsq);
+  const sghs = ss4 * zns * (sz31 + sz33 - 6);
+  let shs = -zns * ss2 * (sz21 + sz23);
+  if (inclm < 5.2359877e-2 || inclm > PI - 5.2359877e-2) shs = 0;
+  if (sinim !== 0) shs /= sinim;
+  const sgs = sghs - cosim * shs;
+
+  // Lunar terms
+  s.dedt = ses + s1 * znl * s5;
+  s.didt = sis + s2 * znl * (z11 + z13);
+  s.dmdt = sls - znl * s3 * (z1 + z3 - 14 - 6 * emsq);
+  const sghl = s4 * znl * (z31 + z33 - 6);
+  let shll = -znl * s2 * (z21 + z23);
+  if (inclm < 5.2359877e-2 || inclm > PI - 5.2359877e-2) shll = 0;
+  s.domdt = sgs + sghl;
+  s.dnodt = shs;
+  if (sinim !== 0) {
+    s.domdt -= (cosim / sinim) * shll;
+    s.dnodt += shll / sinim;
+  }
+
+  const theta = (s.gsto + tc * rptim) % TWO_PI;
+  if (s.irez === 0) return;
+
+  const aonv = Math.pow(nm / XKE, X2O3);
+
+  if (s.irez === 2) {
+    // Geopotential resonance for 12 hour orbits
+    const cosisq = cosim * cosim;
+    const em = s.ecco, emsq2 = eccsq, eoc = em * emsq2;
+    const g201 = -0.306 - (em - 0.64) * 0.44;
+    let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+    if (em <= 0.65) {
+      g211 = 3.616 - 13.247 * em + 16.29 * emsq2;
+      g310 = -19.302 + 117.39 * em - 228.419 * emsq2 + 156.591 * eoc;
+      g322 = -18.9068 + 109.7927 * em - 214.6334 * emsq2 + 146.5816 * eoc;
+      g410 = -41.122 + 242.694 * em - 471.094 * emsq2 + 313.953 * eoc;
+      g422 = -146.407 + 841.88 * em - 1629.014 * emsq2 + 1083.435 * eoc;
+      g520 = -532.114 + 3017.977 * em - 5740.032 * emsq2 + 3708.276 * eoc;
+    } else {
+      g211 = -72.099 + 331.819 * em - 508.738 * emsq2 + 266.724 * eoc;
+      g310 = -346.844 + 1582.851 * em - 2415.925 * emsq2 + 1246.113 * eoc;
+      g322 = -342.585 + 1554.908 * em - 2366.899 * emsq2 + 1215.972 * eoc;
+      g410 = -1052.797 + 4758.686 * em - 7193.992 * emsq2 + 3651.957 * eoc;
+      g422 = -3581.69 + 16178.11 * em - 24462.77 * emsq2 + 12422.52 * eoc;
+      g520 = em > 0.715
+        ? -5149.66 + 29936.92 * em - 54087.36 * emsq2 + 31324.56 * eoc
+        : 1464.74 - 4664.75 * em + 3763.64 * emsq2;
+    }
+    if (em < 0.7) {
+      g533 = -919.2277 + 4988.61 * em - 9064.77 * emsq2 + 5542.21 * eoc;
+      g521 = -822.71072 + 4568.6173 * em - 8491.4146 * emsq2 + 5337.524 * eoc;
+      g532 = -853.666 + 4690.25 * em - 8624.77 * emsq2 + 5341.4 * eoc;
+    } else {
+      g533 = -37995.78 + 161616.52 * em - 229838.2 * emsq2 + 109377.94 * eoc;
+      g521 = -51752.104 + 218913.95 * em - 309468.16 * emsq2 + 146349.42 * eoc;
+      g532 = -40023.88 + 170470.89 * em - 242699.48 * emsq2 + 115605.82 * eoc;
+    }
+
+    const sini2 = sinim * sinim;
+    const f220 = 0.75 * (1 + 2 * cosim + cosisq);
+    const f221 = 1.5 * sini2;
+    const f321 = 1.875 * sinim * (1 - 2 * cosim - 3 * cosisq);
+    const f322 = -1.875 * sinim * (1 + 2 * cosim - 3 * cosisq);
+    const f441 = 35 * sini2 * f220;
+    const f442 = 39.375 * sini2 * sini2;
+    const f522 = 9.84375 * sinim * (sini2 * (1 - 2 * cosim - 5 * cosisq) + 0.33333333 * (-2 + 4 * cosim + 6 * cosisq));
+    const f523 = sinim * (4.92187512 * sini2 * (-2 - 4 * cosim + 10 * cosisq) + 6.56250012 * (1 + 2 * cosim - 3 * cosisq));
+    const f542 = 29.53125 * sinim * (2 - 8 * cosim + cosisq * (-12 + 8 * cosim + 10 * cosisq));
+    const f543 = 29.53125 * sinim * (-2 - 8 * cosim + cosisq * (12 + 8 * cosim - 10 * cosisq));
+
+    const xno2 = nm * nm, ainv2 = aonv * aonv;
+    let temp1 = 3 * xno2 * ainv2;
+    let temp = temp1 * root22;
+    s.d2201 = temp * f220 * g201;
+    s.d2211 = temp * f221 * g211;
+    temp1 *= aonv;
+    temp = temp1 * root32;
+    s.d3210 = temp * f321 * g310;
+    s.d3222 = temp * f322 * g322;
+    temp1 *= aonv;
+    temp = 2 * temp1 * root44;
+    s.d4410 = temp * f441 * g410;
+    s.d4422 = temp * f442 * g422;
+    temp1 *= aonv;
+    temp = temp1 * root52;
+    s.d5220 = temp * f522 * g520;
+    s.d5232 = temp * f523 * g532;
+    temp = 2 * temp1 * root54;
+    s.d5421 = temp * f542 * g521;
+    s.d5433 = temp * f543 * g533;
+    s.xlamo = (s.mo + s.nodeo + s.nodeo - (theta + theta)) % TWO_PI;
+    s.xfact = s.mdot + s.dmdt + 2 * (s.nodedot + s.dnodt - rptim) - s.no;
+  } else {
+    // Synchronous resonance for 24 hour orbits
+    const g200 = 1 + emsq * (-2.5 + 0.8125 * emsq);
+    const g310 = 1 + 2 * emsq;
+    const g300 = 1 + emsq * (-6 + 6.60937 * emsq);
+    const f220 = 0.75 * (1 + cosim) * (1 + cosim);
+    const f311 = 0.9375 * sinim * sinim * (1 + 3 * cosim) - 0.75 * (1 + cosim);
+    let f330 = 1 + cosim;
+    f330 *= 1.875 * f330 * f330;
+    const del1 = 3 * nm * nm * aonv * aonv;
+    s.del2 = 2 * del1 * f220 * g200 * q22;
+    s.del3 = 3 * del1 * f330 * g300 * q33 * aonv;
+    s.del1 = del1 * f311 * g310 * q31 * aonv;
+    s.xlamo = (s.mo + s.nodeo + s.argpo - theta) % TWO_PI;
+    s.xfact = s.mdot + xpidot + s.dmdt + s.domdt + s.dnodt - (s.no + rptim);
+  }
+  s.xli = s.xlamo;
+  s.xni = s.no;
+  s.atime = 0;
+}
+
+/* ── Deep-space secular effects and resonance integration ───────────── */
+function dspace(s, t, el) {
+  const fasx2 = 0.13130908, fasx4 = 2.8843198, fasx6 = 0.37448087;
+  const g22 = 5.7686396, g32 = 0.95240898, g44 = 1.8014998, g52 = 1.050833, g54 = 4.4108898;
+  const rptim = 4.3752690880113e-3;    // Earth rotation, rad/min
+  const stepp = 720.0, step2 = 259200.0;
+
+  el.em += s.dedt * t;
+  el.inclm += s.didt * t;
+  el.argpm += s.domdt * t;
+  el.nodem += s.dnodt * t;
+  el.mm += s.dmdt * t;
+  if (s.irez === 0) return;
+
+  const theta = (s.gsto + t * rptim) % TWO_PI;
+  // Restart the integrator when stepping backwards past the last state
+  if (s.atime === 0 || t * s.atime <= 0 || Math.abs(t) < Math.abs(s.atime)) {
+    s.atime = 0;
+    s.xni = s.no;
+    s.xli = s.xlamo;
+  }
+  const delt = t > 0 ? stepp : -stepp;
+  let xndt, xldot, xnddt, ft = 0;
+
+  for (;;) {
+    if (s.irez !== 2) {
+      xndt = s.del1 * Math.sin(s.xli - fasx2) + s.del2 * Math.sin(2 * (s.xli - fasx4)) + s.del3 * Math.sin(3 * (s.xli - fasx6));
+      xldot = s.xni + s.xfact;
+      xnddt = s.del1 * Math.cos(s.xli - fasx2) + 2 * s.del2 * Math.cos(2 * (s.xli - fasx4)) + 3 * s.del3 * Math.cos(3 * (s.xli - fasx6));
+      xnddt *= xldot;
+    } else {
+      const xomi = s.argpo + s.argpdot * s.atime;
+      const x2omi = xomi + xomi, x2li = s.xli + s.xli;
+      xndt = s.d2201 * Math.sin(x2omi + s.xli - g22) + s.d2211 * Math.sin(s.xli - g22)
+        + s.d3210 * Math.sin(xomi + s.xli - g32) + s.d3222 * Math.sin(-xomi + s.xli - g32)
+        + s.d4410 * Math.sin(x2omi + x2li - g44) + s.d4422 * Math.sin(x2li - g44)
+        + s.d5220 * Math.sin(xomi + s.xli - g52) + s.d5232 * Math.sin(-xomi + s.xli - g52)
+        + s.d5421 * Math.sin(xomi + x2li - g54) + s.d5433 * Math.sin(-xomi + x2li - g54);
+      xldot = s.xni + s.xfact;
+      xnddt = s.d2201 * Math.cos(x2omi + s.xli - g22) + s.d2211 * Math.cos(s.xli - g22)
+        + s.d3210 * Math.cos(xomi + s.xli - g32) + s.d3222 * Math.cos(-xomi + s.xli - g32)
+        + s.d5220 * Math.cos(xomi + s.xli - g52) + s.d5232 * Math.cos(-xomi + s.xli - g52)
+        + 2 * (s.d4410 * Math.cos(x2omi + x2li - g44) + s.d4422 * Math.cos(x2li - g44)
+          + s.d5421 * Math.cos(xomi + x2li - g54) + s.d5433 * Math.cos(-xomi + x2li - g54));
+      xnddt *= xldot;
+    }
+    if (Math.abs(t - s.atime) < stepp) { ft = t - s.atime; break; }
+    s.xli += xldot * delt + xndt * step2;
+    s.xni += xndt * delt + xnddt * step2;
+    s.atime += delt;
+  }
+
+  el.nm = s.xni + xndt * ft + xnddt * ft * ft * 0.5;
+  const xl = s.xli + xldot * ft + xndt * ft * ft * 0.5;
+  el.mm = s.irez !== 1 ? xl - 2 * el.nodem + 2 * theta : xl - el.nodem - el.argpm + theta;
+}
+
+/**
+ * Initialise a propagator record from a parsed TLE entry (see tle.js).
+ * @returns {object} satrec, with `error` set when the elements are unusable
+ */
+export function sgp4init(tle) {
+  const s = {
+    error: 0, method: "n", isimp: 0, t: 0,
+    epochMs: tle.epoch,
+    bstar: tle.bstar, ecco: tle.ecc, argpo: tle.argp, inclo: tle.inc, mo: tle.mo, nodeo: tle.raan,
+    no: (tle.no * TWO_PI) / 1440,   // rad/min
+    aycof: 0, con41: 0, cc1: 0, cc4: 0, cc5: 0, d2: 0, d3: 0, d4: 0, delmo: 0, eta: 0,
+    argpdot: 0, omgcof: 0, sinmao: 0, t2cof: 0, t3cof: 0, t4cof: 0, t5cof: 0,
+    x1mth2: 0, x7thm1: 0, mdot: 0, nodedot: 0, xlcof: 0, xmcof: 0, nodecf: 0,
+    irez: 0, d2201: 0, d2211: 0, d3210: 0, d3222: 0, d4410: 0, d4422: 0, d5220: 0, d5232: 0, d5421: 0, d5433: 0,
+    dedt: 0, del1: 0, del2: 0, del3: 0, didt: 0, dmdt: 0, dnodt: 0, domdt: 0,
+    e3: 0, ee2: 0, peo: 0, pgho: 0, pho: 0, pinco: 0, plo: 0, se2: 0, se3: 0, sgh2: 0, sgh3: 0, sgh4: 0,
+    sh2: 0, sh3: 0, si2: 0, si3: 0, sl2: 0, sl3: 0, sl4: 0, gsto: 0, xfact: 0,
+    xgh2: 0, xgh3: 0, xgh4: 0, xh2: 0, xh3: 0, xi2: 0, xi3: 0, xl2: 0, xl3: 0, xl4: 0,
+    xlamo: 0, zmol: 0, zmos: 0, atime: 0, xli: 0, xni: 0,
+  };
+  const jd = julianDate(tle.epoch);
+  const epoch = jd - 2433281.5;   // days since 1949 Dec 31 00:00 UT
+
+  const ss = 78 / RE + 1;
+  const qzms2t = Math.pow((120 - 78) / RE, 4);
+
+  // initl: recover original mean motion and semi-major axis
+  const eccsq = s.ecco * s.ecco;
+  const omeosq = 1 - eccsq;
+  const rteosq = Math.sqrt(omeosq);
+  const cosio = Math.cos(s.inclo);
+  const cosio2 = cosio * cosio;
+  const ak = Math.pow(XKE / s.no, X2O3);
+  const d1 = (0.75 * J2 * (3 * cosio2 - 1)) / (rteosq * omeosq);
+  let delPrime = d1 / (ak * ak);
+  const adel = ak * (1 - delPrime * delPrime - delPrime * (1 / 3 + (134 * delPrime * delPrime) / 81));
+  delPrime = d1 / (adel * adel);
+  s.no /= 1 + delPrime;
+  const ao = Math.pow(XKE / s.no, X2O3);
+  const sinio = Math.sin(s.inclo);
+  const po = ao * omeosq;
+  const con42 = 1 - 5 * cosio2;
+  s.con41 = -con42 - cosio2 - cosio2;
+  const posq = po * po;
+  const rp = ao * (1 - s.ecco);
+  s.gsto = gmst(tle.epoch);
+
+  s.a = Math.pow(s.no * TUMIN, -2 / 3);
+  s.alta = s.a * (1 + s.ecco) - 1;
+  s.altp = s.a * (1 - s.ecco) - 1;
+
+  if (omeosq < 0 && s.no < 0) { s.error = 1; return s; }
+
+  // Perigees below 220 km use the simplified drag model
+  if (rp < 220 / RE + 1) s.isimp = 1;
+  let sfour = ss, qzms24 = qzms2t;
+  const perige = (rp - 1) * RE;
+  if (perige < 156) {
+    sfour = perige < 98 ? 20 : perige - 78;
+    qzms24 = Math.pow((120 - sfour) / RE, 4);
+    sfour = sfour / RE + 1;
+  }
+  const pinvsq = 1 / posq;
+  const tsi = 1 / (ao - sfour);
+  s.eta = ao * s.ecco * tsi;
+  const etasq = s.eta * s.eta;
+  const eeta = s.ecco * s.eta;
+  const psisq = Math.abs(1 - etasq);
+  const coef = qzms24 * Math.pow(tsi, 4);
+  const coef1 = coef / Math.pow(psisq, 3.5);
+  const cc2 = coef1 * s.no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq)) + ((0.375 * J2 * tsi) / psisq) * s.con41 * (8 + 3 * etasq * (8 + etasq)));
+  s.cc1 = s.bstar * cc2;
+  const cc3 = s.ecco > 1e-4 ? (-2 * coef * tsi * J3OJ2 * s.no * sinio) / s.ecco : 0;
+  s.x1mth2 = 1 - cosio2;
+  s.cc4 = 2 * s.no * coef1 * ao * omeosq * (s.eta * (2 + 0.5 * etasq) + s.ecco * (0.5 + 2 * etasq)
+    - ((J2 * tsi) / (ao * psisq)) * (-3 * s.con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta))
+      + 0.75 * s.x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * s.argpo)));
+  s.cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+  const cosio4 = cosio2 * cosio2;
+  const temp1 = 1.5 * J2 * pinvsq * s.no;
+  const temp2 = 0.5 * temp1 * J2 * pinvsq;
+  const temp3 = -0.46875 * J4 * pinvsq * pinvsq * s.no;
+  s.mdot = s.no + 0.5 * temp1 * rteosq * s.con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4);
+  s.argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4) + temp3 * (3 - 36 * cosio2 + 49 * cosio4);
+  const xhdot1 = -temp1 * cosio;
+  s.nodedot = xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio;
+  const xpidot = s.argpdot + s.nodedot;
+  s.omgcof = s.bstar * cc3 * Math.cos(s.argpo);
+  s.xmcof = s.ecco > 1e-4 ? (-X2O3 * coef * s.bstar) / eeta : 0;
+  s.nodecf = 3.5 * omeosq * xhdot1 * s.cc1;
+  s.t2cof = 1.5 * s.cc1;
+  s.xlcof = (-0.25 * J3OJ2 * sinio * (3 + 5 * cosio)) / (Math.abs(cosio + 1) > TEMP4 ? 1 + cosio : TEMP4);
+  s.aycof = -0.5 * J3OJ2 * sinio;
+  s.delmo = Math.pow(1 + s.eta * Math.cos(s.mo), 3);
+  s.sinmao = Math.sin(s.mo);
+  s.x7thm1 = 7 * cosio2 - 1;
+
+  if (TWO_PI / s.no >= 225) {
+    s.method = "d";
+    s.isimp = 1;
+    const d = dscom(s, epoch, s.ecco, s.argpo, 0, s.inclo, s.nodeo, s.no);
+    dsinit(s, d, 0, xpidot, eccsq);
+  }
+
+  if (s.isimp !== 1) {
+    const cc1sq = s.cc1 * s.cc1;
+    s.d2 = 4 * ao * tsi * cc1sq;
+    const temp = (s.d2 * tsi * s.cc1) / 3;
+    s.d3 = (17 * ao + sfour) * temp;
+    s.d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * s.cc1;
+    s.t3cof = s.d2 + 2 * cc1sq;
+    s.t4cof = 0.25 * (3 * s.d3 + s.cc1 * (12 * s.d2 + 10 * cc1sq));
+    s.t5cof = 0.2 * (3 * s.d4 + 12 * s.cc1 * s.d3 + 6 * s.d2 * s.d2 + 15 * cc1sq * (2 * s.d2 + cc1sq));
+  }
+
+  sgp4(s, 0);
+  return s;
+}
+
+/**
+ * Propagate a satrec to `tsince` minutes from its epoch.
+ * @returns {{ r: number[], v: number[] } | null} TEME km and km/s, or null
+ *   with `satrec.error` set (see SGP4_ERRORS)
+ */
+export function sgp4(s, tsince) {
+  s.t = tsince;
+  s.error = 0;
+  const t = tsince;
+
+  const xmdf = s.mo + s.mdot * t;
+  const argpdf = s.argpo + s.argpdot * t;
+  const nodedf = s.nodeo + s.nodedot * t;
+  const t2 = t * t;
+  const el = { argpm: argpdf, mm: xmdf, nodem: nodedf + s.nodecf * t2, nm: s.no, em: s.ecco, inclm: s.inclo };
+  let tempa = 1 - s.cc1 * t;
+  let tempe = s.bstar * s.cc4 * t;
+  let templ = s.t2cof * t2;
+
+  if (s.isimp !== 1) {
+    const delomg = s.omgcof * t;
+    const delm = s.xmcof * (Math.pow(1 + s.eta * Math.cos(xmdf), 3) - s.delmo);
+    const temp = delomg + delm;
+    el.mm = xmdf + temp;
+    el.argpm = argpdf - temp;
+    const t3 = t2 * t, t4 = t3 * t;
+    tempa = tempa - s.d2 * t2 - s.d3 * t3 - s.d4 * t4;
+    tempe += s.bstar * s.cc5 * (Math.sin(el.mm) - s.sinmao);
+    templ = templ + s.t3cof * t3 + t4 * (s.t4cof + t * s.t5cof);
+  }
+
+  if (s.method === "d") dspace(s, t, el);
+
+  if (el.nm <= 0) { s.error = 2; return null; }
+  const am = Math.pow(XKE / el.nm, X2O3) * tempa * tempa;
+  const nm = XKE / Math.pow(am, 1.5);
+  let em = el.em - tempe;
+  if (em >= 1 || em < -0.001) { s.error = 1; return null; }
+  if (em < 1e-6) em = 1e-6;
+
+  let mm = el.mm + s.no * templ;
+  let nodem = el.nodem % TWO_PI;
+  let argpm = el.argpm % TWO_PI;
+  const xlm = (mm + el.argpm + el.nodem) % TWO_PI;
+  mm = (xlm - argpm - nodem) % TWO_PI;
+
+  let ep = em, xincp = el.inclm, argpp = argpm, nodep = nodem, mp = mm;
+  let sinip = Math.sin(el.inclm), cosip = Math.cos(el.inclm);
+
+  if (s.method === "d") {
+    ({ ep, inclp: xincp, nodep, argpp, mp } = dpper(s, ep, xincp, nodep, argpp, mp));
+    if (xincp < 0) {
+      xincp = -xincp;
+      nodep += PI;
+      argpp -= PI;
+    }
+    if (ep < 0 || ep > 1) { s.error = 3; return null; }
+    sinip = Math.sin(xincp);
+    cosip = Math.cos(xincp);
+    s.aycof = -0.5 * J3OJ2 * sinip;
+    s.xlcof = (-0.25 * J3OJ2 * sinip * (3 + 5 * cosip)) / (Math.abs(cosip + 1) > TEMP4 ? 1 + cosip : TEMP4);
+  }
+
+  // Long-period periodics
+  const axnl = ep * Math.cos(argpp);
+  let temp = 1 / (am * (1 - ep * ep));
+  const aynl = ep * Math.sin(argpp) + temp * s.aycof;
+  const xl = mp + argpp + nodep + temp * s.xlcof * axnl;
+
+  // Kepler's equation in Lyddane variables
+  const u = (xl - nodep) % TWO_PI;
+  let eo1 = u, tem5 = 9999.9, sineo1 = 0, coseo1 = 0;
+  for (let ktr = 1; Math.abs(tem5) >= 1e-12 && ktr <= 10; ktr++) {
+    sineo1 = Math.sin(eo1);
+    coseo1 = Math.cos(eo1);
+    tem5 = 1 - coseo1 * axnl - sineo1 * aynl;
+    tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+    if (Math.abs(tem5) >= 0.95) tem5 = tem5 > 0 ? 0.95 : -0.95;
+    eo1 += tem5;
+  }
+
+  // Short-period preliminary quantities
+  const ecose = axnl * coseo1 + aynl * sineo1;
+  const esine = axnl * sineo1 - aynl * coseo1;
+  const el2 = axnl * axnl + aynl * aynl;
+  const pl = am * (1 - el2);
+  if (pl < 0) { s.error = 4; return null; }
+  const rl = am * (1 - ecose);
+  const rdotl = (Math.sqrt(am) * esine) / rl;
+  const rvdotl = Math.sqrt(pl) / rl;
+  const betal = Math.sqrt(1 - el2);
+  temp = esine / (1 + betal);
+  const sinu = (am / rl) * (sineo1 - aynl - axnl * temp);
+  const cosu = (am / rl) * (coseo1 - axnl + aynl * temp);
+  let su = Math.atan2(sinu, cosu);
+  const sin2u = (cosu + cosu) * sinu;
+  const cos2u = 1 - 2 * sinu * sinu;
+  temp = 1 / pl;
+  const temp1 = 0.5 * J2 * temp;
+  const temp2 = temp1 * temp;
+
+  if (s.method === "d") {
+    const cosisq = cosip * cosip;
+    s.con41 = 3 * cosisq - 1;
+    s.x1mth2 = 1 - cosisq;
+    s.x7thm1 = 7 * cosisq - 1;
+  }
+
+  // Short-period periodics
+  const mrt = rl * (1 - 1.5 * temp2 * betal * s.con41) + 0.5 * temp1 * s.x1mth2 * cos2u;
+  su -= 0.25 * temp2 * s.x7thm1 * sin2u;
+  const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+  const xinc = xincp + 1.5 * temp2 * cosip * sinip * cos2u;
+  const mvt = rdotl - (nm * temp1 * s.x1mth2 * sin2u) / XKE;
+  const rvdot = rvdotl + (nm * temp1 * (s.x1mth2 * cos2u + 1.5 * s.con41)) / XKE;
+
+  // Orientation vectors
+  const sinsu = Math.sin(su), cossu = Math.cos(su);
+  const snod = Math.sin(xnode), cnod = Math.cos(xnode);
+  const sini = Math.sin(xinc), cosi = Math.cos(xinc);
+  const xmx = -snod * cosi, xmy = cnod * cosi;
+  const ux = xmx * sinsu + cnod * cossu;
+  const uy = xmy * sinsu + snod * cossu;
+  const uz = sini * sinsu;
+  const vx = xmx * cossu - cnod * sinsu;
+  const vy = xmy * cossu - snod * sinsu;
+  const vz = sini * cossu;
+
+  if (mrt < 1) { s.error = 6; return null; }
+
+  return {
+    r: [mrt * ux * RE, mrt * uy * RE, mrt * uz * RE],
+    v: [(mvt * ux + rvdot * vx) * VKMPERSEC, (mvt * uy + rvdot * vy) * VKMPERSEC, (mvt * uz + rvdot * vz) * VKMPERSEC],
+  };
+}
+
+/* Propagate to an absolute time (Unix ms, UTC) */
+export const propagateAt = (satrec, ms) => sgp4(satrec, (ms - satrec.epochMs) / 60000);
@@ -0,0 +1,157 @@
+/**
+ * SGP4 / SDP4 against the SGP4-VER verification vectors (Vallado et al.,
+ * AIAA 2006-6753, tcppver.out), run with `npm test` under node:test. Rows
+ * are [minutes, x, y, z, vx, vy, vz] at tcppver.out's printed precision.
+ *
+ * Units: km, km/s and minutes since the element epoch.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTLE } from "./tle.js";
+import { sgp4init, sgp4, propagateAt, SGP4_ERRORS } from "./sgp4.js";
+
+const satrec = (l1, l2) => {
+  const { entries, errors } = parseTLE(`${l1}\n${l2}`);
+  assert.deepEqual(errors, []);
+  return sgp4init(entries[0]);
+};
+
+/* Within 1e-6 km and 1e-8 km/s of [t, x, y, z, vx, vy, vz] */
+const matches = (s, [t, ...rv]) => {
+  const o = sgp4(s, t);
+  assert.ok(o, `t = ${t}: ${SGP4_ERRORS[s.error]}`);
+  [...o.r, ...o.v].forEach((x, i) => {
+    const tol = i < 3 ? 1e-6 : 1e-8;
+    assert.ok(Math.abs(x - rv[i]) < tol, `t = ${t}, component ${i}: ${x} vs ${rv[i]}`);
+  });
+};
+
+const VANGUARD = [
+  "1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753",
+  "2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667",
+];
+
+test("00005: near-Earth, eccentric", () => {
+  const s = satrec(...VANGUARD);
+  assert.equal(s.method, "n");
+  [
+    [0, 7022.46529266, -1400.08296755, 0.03995155, 1.893841015, 6.405893759, 4.534807250],
+    [360, -7154.03120202, -3783.17682504, -3536.19412294, 4.741887409, -4.151817765, -2.093935425],
+    [720, -7134.59340119, 6531.68641334, 3260.27186483, -4.113793027, -2.911922039, -2.557327851],
+    [4320, -9060.47373569, 4658.70952502, 813.68673153, -2.232832783, -4.110453490, -3.157345433],
+  ].forEach(row => matches(s, row));
+});
+
+test("88888: Spacetrack Report #3 SGP4 case", () => {
+  const s = satrec(
+    "1 88888U          80275.98708465  .00073094  13844-3  66816-4 0    87",
+    "2 88888  72.8435 115.9689 0086731  52.6988 110.5714 16.05824518  1058",
+  );
+  matches(s, [0, 2328.96975262, -5995.22051338, 1719.97297192, 2.912073281, -0.983417956, -7.090816210]);
+});
+
+test("11801: deep space, lunar / solar periodics", () => {
+  const s = satrec(
+    "1 11801U          80230.29629788  .01431103  00000-0  14311-1      13",
+    "2 11801  46.7916 230.4354 7318036  47.4722  10.4117  2.28537848    13",
+  );
+  assert.equal(s.method, "d");
+  [
+    [0, 7473.37102491, 428.94748312, 5828.74846783, 5.107155391, 6.444680305, -0.186133297],
+    [360, -3305.22148694, 32410.84323331, -24697.16974954, -1.301137319, -1.151315600, -0.283335823],
+    [720, 14271.29083858, 24110.44309009, -4725.76320143, -0.320504528, 2.679841539, -2.084054355],
+    [1080, -9990.05800009, 22717.34212448, -23616.88515553, -1.016674392, -2.290267981, 0.728923337],
+    [1440, 9787.87836256, 33753.32249667, -15030.79874625, -1.094251553, 0.923589906, -1.522311008],
+  ].forEach(row => matches(s, row));
+});
+
+test("08195: Molniya, 12 h resonance", () => {
+  const s = satrec(
+    "1 08195U 75081A   06176.33215444  .00000099  00000-0  11873-3 0   813",
+    "2 08195  64.1586 279.0717 6877146 264.7651  20.2257  2.00491383225656",
+  );
+  assert.equal(s.method, "d");
+  assert.equal(s.irez, 2);
+  [
+    [0, 2349.89483350, -14785.93811562, 0.02119378, 2.721488096, -3.256811655, 4.498416672],
+    [1440, 2890.80638268, -15446.43952300, 948.77010176, 2.654407490, -2.909344895, 4.486437362],
+    [2880, 3417.20931586, -16038.79510665, 1894.74934058, 2.585515864, -2.596818146, 4.456882556],
+  ].forEach(row => matches(s, row));
+});
+
+test("06251: near-Earth, normal drag", () => {
+  const s = satrec(
+    "1 06251U 62025E   06176.82412014  .00008885  00000-0  12808-3 0  3985",
+    "2 06251  58.0579  54.0425 0030035 139.1568 221.1854 15.56387291  6774",
+  );
+  assert.equal(s.method, "n");
+  [
+    [0, 3988.31022699, 5498.96657235, 0.90055879, -3.290032738, 2.357652820, 6.496623475],
+    [720, 3692.60030028, -976.24265255, -5623.36447493, 3.897257243, 6.415554948, 1.429112190],
+    [2880, 1159.27802897, 5056.60175495, 4353.49418579, -5.968060341, -2.314790406, 4.230722669],
+  ].forEach(row => matches(s, row));
+});
+
+test("28129: GPS, 12 h resonance, near-circular", () => {
+  const s = satrec(
+    "1 28129U 03058A   06175.57071136 -.00000104  00000-0  10000-3 0   459",
+    "2 28129  54.7298 324.8098 0048506 266.2640  93.1663  2.00562768 18443",
+  );
+  assert.equal(s.method, "d");
+  [
+    [0, 21707.46412351, -15318.61752390, 0.13551152, 1.304029214, 1.816904974, 3.161919976],
+    [1440, 22002.20074562, -14879.72595593, 774.32827099, 1.191573619, 1.894561165, 3.159953047],
+  ].forEach(row => matches(s, row));
+});
+
+test("28626: geosynchronous, 24 h resonance", () => {
+  const s = satrec(
+    "1 28626U 05008A   06176.46683397 -.00000205  00000-0  10000-3 0  2190",
+    "2 28626   0.0019 286.9433 0000335  13.7918  55.6504  1.00270176  4891",
+  );
+  assert.equal(s.irez, 1);
+  [
+    [0, 42080.71852213, -2646.86387436, 0.81851294, 0.193105177, 3.068688251, 0.000438449],
+    [1440, 42119.96263499, -1925.77567263, -0.19827433, 0.140521206, 3.071541613, 0.000179561],
+  ].forEach(row => matches(s, row));
+});
+
+test("04632: deep space, propagated backwards", () => {
+  const s = satrec(
+    "1 04632U 70093B   04031.91070959 -.00000084  00000-0  10000-3 0  9955",
+    "2 04632  11.4628 273.1101 1450506 207.6000 143.9350  1.20231981 44145",
+  );
+  assert.equal(s.method, "d");
+  [
+    [0, 2334.11450085, -41920.44035349, -0.03867437, 2.826321032, -0.065091664, 0.570936053],
+    [-5184, -29020.02587128, 13819.84419063, -5713.33679183, -1.768068390, -3.235371192, -0.395206135],
+  ].forEach(row => matches(s, row));
+});
+
+test("23599: deep space, high eccentricity, low inclination", () => {
+  const s = satrec(
+    "1 23599U 95029B   06171.76535463  .00085586  12891-6  12956-2 0  2905",
+    "2 23599   6.9327   0.2849 5782022 274.4436  25.2425  4.47796565123555",
+  );
+  assert.equal(s.method, "d");
+  [
+    [0, 9892.63794341, 35.76144969, -1.08228838, 3.556643237, 6.456009375, 0.783610890],
+    [720, 7140.41945884, 20539.25485336, 2501.21469368, -2.293173684, 2.333507912, 0.282716311],
+  ].forEach(row => matches(s, row));
+});
+
+test("33334: unusable elements report an error instead of a position", () => {
+  const s = satrec(
+    "1 33334U 78066F   06174.85818871  .00000620  00000-0  10000-3 0  6806",
+    "2 33334  68.4714 236.1303 5602877 123.7484 302.5767  0.00001000 67521",
+  );
+  assert.equal(sgp4(s, 0), null);
+  assert.ok(SGP4_ERRORS[s.error], `error code ${s.error}`);
+});
+
+test("propagateAt: absolute UTC maps onto minutes since epoch", () => {
+  const s = satrec(...VANGUARD);
+  const a = propagateAt(s, s.epochMs + 360 * 60000);
+  assert.deepEqual(a, sgp4(satrec(...VANGUARD), 360));
+});
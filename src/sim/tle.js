@@ -0,0 +1,153 @@
+/**
+ * Two-line element set (TLE / 3LE) parser.
+ *
+ * Accepts raw catalog text as published by CelesTrak / Space-Track: optional
+ * name lines ("0 NAME" or bare "NAME") followed by line 1 and line 2. Every
+ * rejected line is reported with its 1-based line number instead of being
+ * dropped silently.
+ */
+
+import { DEG } from "./constants.js";
+
+const TLE_LEN = 69;
+
+/* Modulo-10 checksum: digits count their value, "-" counts 1 */
+export const tleChecksum = line => {
+  let sum = 0;
+  for (let i = 0; i < TLE_LEN - 1; i++) {
+    const c = line[i];
+    if (c >= "0" && c <= "9") sum += c.charCodeAt(0) - 48;
+    else if (c === "-") sum += 1;
+  }
+  return sum % 10;
+};
+
+/* Implied-decimal exponent field, e.g. " 28098-4" → 0.28098e-4 */
+const parseExp = field => {
+  const f = field.trim();
+  if (!f) return 0;
+  const m = /^([+-]?)(\d{1,5})([+-]\d)$/.exec(f.replace(/\s/g, ""));
+  if (!m) return NaN;
+  return Number(`${m[1]}0.${m[2]}e${m[3]}`);
+};
+
+const parseNum = field => {
+  const f = field.trim();
+  return f === "" ? NaN : Number(f);
+};
+
+/* TLE epoch (two-digit year + fractional day of year) → Unix ms, UTC */
+export const tleEpochToMs = (yy, doy) => {
+  const year = yy < 57 ? 2000 + yy : 1900 + yy;
+  return Date.UTC(year, 0, 1) + (doy - 1) * 86400000;
+};
+
+function validateLine(text, n, errors) {
+  if (text.length !== TLE_LEN) {
+    errors.push({ line: n, message: `line ${text[0]} must be ${TLE_LEN} characters, got ${text.length}` });
+    return false;
+  }
+  const expect = Number(text[TLE_LEN - 1]);
+  const got = tleChecksum(text);
+  if (Number.isNaN(expect) || expect !== got) {
+    errors.push({ line: n, message: `checksum mismatch (expected ${got}, found "${text[TLE_LEN - 1]}")` });
+    return false;
+  }
+  return true;
+}
+
+function parsePair(name, l1, l2, errors) {
+  const bad = (line, message) => { errors.push({ line, message }); return null; };
+
+  const norad = parseNum(l1.text.slice(2, 7));
+  const norad2 = parseNum(l2.text.slice(2, 7));
+  if (!Number.isInteger(norad)) return bad(l1.n, `invalid catalog number "${l1.text.slice(2, 7)}"`);
+  if (norad !== norad2) return bad(l2.n, `catalog number ${l2.text.slice(2, 7).trim()} does not match line 1 (${norad})`);
+
+  const yy = parseNum(l1.text.slice(18, 20));
+  const doy = parseNum(l1.text.slice(20, 32));
+  const ndot = parseNum(l1.text.slice(33, 43));
+  const nddot = parseExp(l1.text.slice(44, 52));
+  const bstar = parseExp(l1.text.slice(53, 61));
+  const l1Fields = { epoch: yy + doy, ndot, nddot, bstar };
+  for (const k in l1Fields) if (Number.isNaN(l1Fields[k])) return bad(l1.n, `invalid ${k} field`);
+  if (doy < 1 || doy >= 367) return bad(l1.n, `epoch day ${doy} out of range`);
+
+  const inc = parseNum(l2.text.slice(8, 16));
+  const raan = parseNum(l2.text.slice(17, 25));
+  const ecc = parseNum(`0.${l2.text.slice(26, 33).trim()}`);
+  const argp = parseNum(l2.text.slice(34, 42));
+  const mo = parseNum(l2.text.slice(43, 51));
+  const no = parseNum(l2.text.slice(52, 63));
+  const l2Fields = { inclination: inc, raan, eccentricity: ecc, "argument of perigee": argp, "mean anomaly": mo, "mean motion": no };
+  for (const k in l2Fields) if (Number.isNaN(l2Fields[k])) return bad(l2.n, `invalid ${k} field`);
+  if (inc < 0 || inc > 180) return bad(l2.n, `inclination ${inc}° out of range`);
+  if (ecc >= 1) return bad(l2.n, `eccentricity ${ecc} is not elliptical`);
+  if (no <= 0) return bad(l2.n, `mean motion must be positive`);
+
+  return {
+    norad,
+    name: name || `NORAD ${norad}`,
+    intlDes: l1.text.slice(9, 17).trim(),
+    classification: l1.text[7],
+    epochYear: yy < 57 ? 2000 + yy : 1900 + yy,
+    epochDays: doy,
+    epoch: tleEpochToMs(yy, doy),
+    ndot, nddot, bstar,
+    inc: inc * DEG,
+    raan: raan * DEG,
+    ecc,
+    argp: argp * DEG,
+    mo: mo * DEG,
+    no,                       // revolutions per day
+    line1: l1.text,
+    line2: l2.text,
+    line: l1.n,
+  };
+}
+
+/**
+ * Parse a TLE / 3LE catalog.
+ * @param {string} text raw file contents
+ * @returns {{ entries: object[], errors: { line: number, message: string }[] }}
+ */
+export function parseTLE(text) {
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+  const lines = String(text).split(/\r?\n/).map((raw, i) => ({ text: raw.trimEnd(), n: i + 1 }));
+
+  let name = null, nameLine = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const cur = lines[i];
+    if (!cur.text.trim()) continue;
+
+    if (cur.text.startsWith("1 ")) {
+      const next = lines[i + 1];
+      if (!next || !next.text.startsWith("2 ")) {
+        errors.push({ line: cur.n, message: "line 1 is not followed by a line 2" });
+        name = null;
+        continue;
+      }
+      i++;
+      const ok1 = validateLine(cur.text, cur.n, errors);
+      const ok2 = validateLine(next.text, next.n, errors);
+      const e = ok1 && ok2 ? parsePair(name, cur, next, errors) : null;
+      if (e) {
+        if (seen.has(e.norad)) errors.push({ line: cur.n, message: `duplicate catalog number ${e.norad}` });
+        else { seen.add(e.norad); entries.push(e); }
+      }
+      name = null;
+    } else if (cur.text.startsWith("2 ")) {
+      errors.push({ line: cur.n, message: "line 2 without a preceding line 1" });
+      name = null;
+    } else {
+      if (name !== null) errors.push({ line: nameLine, message: `name "${name}" is not followed by an element set` });
+      name = cur.text.replace(/^0 /, "").trim();
+      nameLine = cur.n;
+    }
+  }
+  if (name !== null) errors.push({ line: nameLine, message: `name "${name}" is not followed by an element set` });
+
+  return { entries, errors };
+}
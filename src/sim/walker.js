@@ -0,0 +1,43 @@
+/**
+ * Walker-delta constellations.
+ *
+ * A pattern inc: T/P/F spreads T satellites over P circular planes whose
+ * ascending nodes are evenly spaced through 360°. Each plane carries
+ * S = T/P satellites evenly spaced in argument of latitude, and each plane
+ * is shifted ahead of the one before by F · 360° / T (phasing factor F in
+ * 0 … P−1), which sets how satellites in neighbouring planes interleave.
+ *
+ * Units: km and radians.
+ */
+
+import { RE_KM, TWO_PI } from "./constants.js";
+
+/* Why a pattern cannot be built, or null when it is valid */
+export function walkerError({ t, p, f, alt }) {
+  if (!Number.isInteger(t) || !Number.isInteger(p) || !Number.isInteger(f)) return "T, P and F must be whole numbers";
+  if (t < 1 || p < 1) return "T and P must be at least 1";
+  if (t % p) return `T = ${t} does not divide into P = ${p} planes`;
+  if (f < 0 || f >= p) return `F must be between 0 and ${p - 1}`;
+  if (!(alt > 0)) return "altitude must be above the surface";
+  return null;
+}
+
+/**
+ * Elements for every satellite of a Walker-delta pattern.
+ * @param {{ t: number, p: number, f: number, alt: number, inc: number, raan0?: number }} w
+ *   total satellites, planes, phasing factor, altitude (km), inclination and
+ *   first plane's ascending node (rad)
+ * @returns {{ a: number, e: number, inc: number, raan: number, argp: number, M: number, plane: number, slot: number }[]}
+ *   plane by plane; M is the mean anomaly at the pattern epoch
+ */
+export function walkerDelta({ t, p, f, alt, inc, raan0 = 0 }) {
+  const s = t / p, a = RE_KM + alt, out = [];
+  for (let plane = 0; plane < p; plane++) {
+    const raan = (raan0 + (TWO_PI * plane) / p) % TWO_PI;
+    for (let slot = 0; slot < s; slot++) {
+      const M = ((TWO_PI * slot) / s + (TWO_PI * f * plane) / t) % TWO_PI;
+      out.push({ a, e: 0, inc, raan, argp: 0, M, plane, slot });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,93 @@
+/**
+ * Simulation worker: per-frame propagation and conjunction screening for the
+ * whole catalog, off the main thread.
+ *
+ *   { type: "sats", gen, sats, units }    replace the object set
+ *   { type: "frame", gen, t, mat, vel }   fill `mat` with an instance matrix and
+ *                                         `vel` with a velocity per object at t,
+ *                                         and post both buffers back
+ *   { type: "screen", id, t0, opts }      screenCatalog over the current set,
+ *                                         posted back with the same id (empty
+ *                                         until a set has arrived)
+ *   { type: "cascade", gen, id, impactT,  extend cascade `id` from `from`
+ *     from, to, stop, step, max, radius,  towards `to` with cascadeStep, at
+ *     add, hits, destroyed }              most `max` steps and none reaching
+ *                                         past `stop`, ending after the first
+ *                                         step that hits; posted back as
+ *                                         { id, gen, at, to, hits } (`at` the
+ *                                         hit step's start, `to` how far it
+ *                                         got). `add` ([slot, orbit, t0, hit]),
+ *                                         `hits` ([slot, hit]) and `destroyed`
+ *                                         ([index, tau]) bring the worker's
+ *                                         copy of the record up to date
+ *   { type: "tracks", gen, t, epoch, opts }
+ *                                         groundTracks over the current set,
+ *                                         posted back as { gen, t, epoch,
+ *                                         tracks } with the buffer transferred
+ *
+ * Frame output is in the renderer's frame (y up: ECI x, z, −y). Each matrix
+ * stands its object at its position with +z towards the origin, turned about
+ * that axis by half the object's phase; an object that is down sits at 9999
+ * on every axis. Replies carry the `gen` they were computed for so the main
+ * thread can drop any that predate a change of object set.
+ */
+
+import { orbitState, screenCatalog, groundTracks } from "./catalog.js";
+import { cascadeStep } from "./cascade.js";
+
+const DOWN = 9999;
+let sats = [], units = null, gen = 0;
+let cascade = null; // id, fragments by slot and destroyed indices, as last sent
+
+/* Object i's instance matrix (column-major) and velocity at t */
+function place(i, t, mat, vel) {
+  const s = sats[i], st = orbitState(s, t, units), m = i * 16, k = i * 3;
+  mat.fill(0, m, m + 16); mat[m + 15] = 1;
+  if (!st) {
+    mat[m] = mat[m + 5] = mat[m + 10] = 1;
+    mat[m + 12] = mat[m + 13] = mat[m + 14] = DOWN;
+    vel.fill(0, k, k + 3);
+    return;
+  }
+  const [x, y, z] = [st.r[0], st.r[2], -st.r[1]];
+  vel[k] = st.v[0]; vel[k + 1] = st.v[2]; vel[k + 2] = -st.v[1];
+  // +z towards the origin, +x = up × z with up = +y
+  const l = Math.hypot(x, y, z) || 1, zx = -x / l, zy = -y / l, zz = -z / l;
+  let xx = zz, xz = -zx;
+  const lx = Math.hypot(xx, xz);
+  if (lx > 0) { xx /= lx; xz /= lx; } else { xx = 1; xz = 0; } // over a pole: any horizontal axis
+  const yx = zy * xz, yy = zz * xx - zx * xz, yz = -zy * xx;
+  const c = Math.cos(s.phase * 0.5), sn = Math.sin(s.phase * 0.5);
+  mat[m] = xx * c + yx * sn; mat[m + 1] = yy * sn; mat[m + 2] = xz * c + yz * sn;
+  mat[m + 4] = -xx * sn + yx * c; mat[m + 5] = yy * c; mat[m + 6] = -xz * sn + yz * c;
+  mat[m + 8] = zx; mat[m + 9] = zy; mat[m + 10] = zz;
+  mat[m + 12] = x; mat[m + 13] = y; mat[m + 14] = z;
+}
+
+self.onmessage = ({ data: d }) => {
+  if (d.type === "sats") {
+    ({ sats, units, gen } = d);
+  } else if (d.type === "frame") {
+    if (d.gen === gen) for (let i = 0; i < sats.length && (i + 1) * 16 <= d.mat.length; i++) place(i, d.t, d.mat, d.vel);
+    self.postMessage({ type: "frame", gen: d.gen, t: d.t, mat: d.mat, vel: d.vel }, [d.mat.buffer, d.vel.buffer]);
+  } else if (d.type === "screen") {
+    const r = units ? screenCatalog(sats, d.t0, d.opts, units) : { conjunctions: [], tracked: 0 };
+    self.postMessage({ type: "screen", id: d.id, t0: d.t0, ...r });
+  } else if (d.type === "cascade") {
+    if (cascade?.id !== d.id) cascade = { id: d.id, debris: [], destroyed: new Map() };
+    const { debris, destroyed } = cascade;
+    d.add.forEach(([i, orbit, t0, hit]) => { debris[i] = { active: true, orbit, t0, hit }; });
+    d.hits.forEach(([i, hit]) => { debris[i].hit = hit; });
+    d.destroyed.forEach(([i, tau]) => destroyed.set(i, tau));
+    let a = d.from, at = a, hits = [];
+    for (let n = 0; units && d.gen === gen && a < d.to && a + d.step <= d.stop && n < d.max && !hits.length; n++) {
+      at = a;
+      hits = cascadeStep(sats, destroyed, debris, d.impactT, a, a + d.step, d.radius, units);
+      a += d.step;
+    }
+    self.postMessage({ type: "cascade", id: d.id, gen: d.gen, at, to: a, hits });
+  } else if (d.type === "tracks") {
+    const tracks = d.gen === gen && units ? groundTracks(sats, d.t, d.opts, d.epoch, units) : new Float32Array(0);
+    self.postMessage({ type: "tracks", gen: d.gen, t: d.t, epoch: d.epoch, tracks }, [tracks.buffer]);
+  }
+};